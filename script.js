@@ -9,32 +9,374 @@
 
     /* ==================== CONFIGURATION ==================== */
     const CONFIG = {
-        // Launch date for countdown
-        launchDate: new Date('2026-03-01T00:00:00+01:00'), // WAT timezone (Nigeria)
+        // Launch milestones for the countdown (see COUNTDOWN TIMER). Dates are
+        // WAT; names come from milestone.<id> in the message catalog, or the
+        // entry's `name` for ids the catalog doesn't know. The backend's list
+        // replaces this one when it loads.
+        milestones: {
+            endpoint: 'https://api.pritma.health/milestones',
+            timeZone: 'Africa/Lagos',
+            list: [
+                { id: 'sentinel-beta', date: '2026-03-01T00:00:00+01:00' },
+                { id: 'public-launch', date: '2026-12-01T09:00:00+01:00' },
+                { id: 'abuja-rollout', date: '2027-02-01T09:00:00+01:00' }
+            ]
+        },
+        
+        // Add-to-calendar for the next milestone (see CALENDAR EXPORT).
+        // Alarms are RFC 5545 durations before the start.
+        calendar: {
+            durationMinutes: 60,
+            alarms: ['-P1D', '-PT1H'],
+            siteUrl: 'https://pritma.health/',
+            // Work (Microsoft 365) accounts; personal accounts are redirected
+            outlookUrl: 'https://outlook.office.com/calendar/0/action/compose'
+        },
         
         // API endpoint (replace with actual backend URL)
         apiEndpoint: 'https://api.pritma.health/waitlist',
+
+        // Waitlist API client behaviour
+        api: {
+            timeoutMs: 10000,
+            maxRetries: 3, // Retries on 5xx/network errors only
+            retryBaseDelayMs: 800,
+            retryMaxDelayMs: 8000
+        },
+
+        // Queue status for returning users ("My spot"), cached for offline viewing
+        status: {
+            endpoint: 'https://api.pritma.health/waitlist/status',
+            cacheKey: 'pritma_status'
+        },
         
+        // Mock mode: serve fixture responses instead of calling the API.
+        // Local hosts only, so a shared ?mock link can't fake a signup on the
+        // live site; ?mock=<scenario> picks the fixture (see fixtures/waitlist/)
+        mock: {
+            enabled: isLocalHost(),
+            scenario: new URLSearchParams(window.location.search).get('mock') || 'success',
+            fixturesPath: 'fixtures/'
+        },
+
         // Referral base URL
         referralBaseUrl: 'https://pritma.health/join?ref=',
         
+        // Myth severity scoring (see MYTH SEVERITY SCORING). Terms are stemmed
+        // before matching, so list base forms; multi-word terms match as
+        // phrases. Each category adds its weight per distinct term (up to
+        // maxTermsPerCategory) and combinations add a bonus when all their
+        // categories are present. Lexicons are keyed by language code; every
+        // pack is matched (submissions often mix languages) and `markers`,
+        // common function words, are used to detect the submission's language.
+        severity: {
+            thresholds: { critical: 8, high: 5, medium: 2 },
+            maxTermsPerCategory: 2,
+            negationWindow: 3,
+            weights: {
+                harmful: 4,
+                refusal: 3,
+                conspiracy: 2.5,
+                misuse: 2,
+                cure: 1.5,
+                vulnerable: 1.5,
+                disease: 1,
+                remedy: 1,
+                treatment: 0.5,
+                prevention: 0.5,
+                source: 0
+            },
+            combinations: [
+                { categories: ['cure', 'disease'], bonus: 2 },
+                { categories: ['prevention', 'disease'], bonus: 0.5 },
+                { categories: ['refusal', 'treatment'], bonus: 2 },
+                { categories: ['refusal', 'vulnerable'], bonus: 1.5 },
+                { categories: ['misuse', 'treatment'], bonus: 2 },
+                { categories: ['harmful', 'vulnerable'], bonus: 2 }
+            ],
+            corpusPath: 'fixtures/severity/corpus.json',
+            lexicons: {
+                en: {
+                    markers: ['the', 'is', 'are', 'was', 'that', 'this', 'it', 'of', 'will', 'can', 'does', 'your', 'with',
+                        'because', 'should', 'from'],
+                    negations: ['not', 'no', 'never', 'cannot', "can't", 'cant', "don't", 'dont', "doesn't", 'doesnt',
+                        "isn't", "won't", "didn't", 'neither', 'nor', 'without'],
+                    // Words that end a negation's scope ("not X but Y")
+                    clauseBreaks: ['but', 'however', 'although', 'though'],
+                    // Phrases that mark a whole sentence as a rebuttal
+                    debunks: ['not true', 'is false', 'is a myth', 'is fake', 'debunked', 'no evidence'],
+                    categories: {
+                        disease: ['covid', 'coronavirus', 'malaria', 'typhoid', 'hiv', 'diabetes', 'cancer', 'tuberculosis', 'tb',
+                            'cholera', 'hypertension', 'high blood pressure', 'stroke', 'sickle cell', 'lassa fever', 'measles',
+                            'polio', 'hepatitis', 'meningitis', 'asthma', 'ulcer', 'ebola', 'mpox', 'monkeypox', 'infection',
+                            'fever', 'jaundice', 'kidney disease', 'infertility', 'convulsion', 'seizure', 'virus', 'bacteria',
+                            'parasite', 'germ'],
+                        cure: ['cure', 'heal', 'treat', 'kill', 'eliminate', 'flush out', 'reverse', 'wash away'],
+                        prevention: ['prevent', 'protect', 'immunity', 'immune', 'boost'],
+                        treatment: ['medicine', 'medication', 'drug', 'injection', 'antibiotic', 'insulin', 'vaccine',
+                            'vaccinate', 'vaccination', 'antimalarial', 'antiretroviral', 'arv', 'chemotherapy', 'dialysis',
+                            'hospital', 'clinic', 'doctor'],
+                        remedy: ['garlic', 'ginger', 'lemon', 'lime', 'honey', 'herb', 'herbal', 'leaf', 'leaves', 'root', 'bark',
+                            'bitter leaf', 'neem', 'mixture', 'concoction', 'tea', 'onion', 'turmeric', 'palm oil', 'coconut water',
+                            'salt', 'prayer', 'fasting', 'holy water', 'anointing oil'],
+                        harmful: ['bleach', 'kerosene', 'petrol', 'engine oil', 'battery water', 'methanol', 'chlorine', 'detergent',
+                            'urine', 'salt water', 'poison', 'toxic', 'overdose', 'double dose', 'sniper', 'toothpaste'],
+                        refusal: ['stop taking', 'stop using', 'stop treatment', 'no need', "don't need", 'do not need',
+                            'instead of', 'rather than', 'throw away', 'refuse', 'avoid hospital', 'avoid the hospital',
+                            'discontinue', 'never take', 'replace'],
+                        misuse: ['first sign', 'any illness', 'every illness', 'all infections', 'every infection',
+                            'without prescription', 'self medicate', 'for everything'],
+                        vulnerable: ['pregnant', 'pregnancy', 'baby', 'infant', 'newborn', 'child', 'children', 'toddler',
+                            'elderly', 'breastfeeding'],
+                        conspiracy: ['microchip', 'chip', 'depopulation', 'depopulate', 'sterilize', 'sterilise', '5g', 'bioweapon',
+                            'population control', 'mark of the beast', 'plot'],
+                        source: ['whatsapp', 'facebook', 'tiktok', 'instagram', 'twitter', 'youtube', 'voice note', 'broadcast',
+                            'video', 'pastor', 'imam', 'prophet', 'herbalist', 'native doctor']
+                    }
+                },
+                // The packs below are drafts and need native speaker review.
+                // Diacritics are stripped before matching, so list terms
+                // without them (ẹ -> e); Hausa hooked letters are kept.
+                pcm: {
+                    markers: ['dey', 'wey', 'una', 'abeg', 'pikin', 'wetin', 'sabi', 'dem', 'sef', 'abi', 'comot', 'dis', 'dat'],
+                    negations: ['no', 'never', 'nor'],
+                    debunks: ['no be true', 'na lie', 'na fake', 'wayo'],
+                    categories: {
+                        disease: ['craw craw', 'belle pain', 'body hot', 'sugar sickness', 'pressure'],
+                        cure: ['comot', 'clear am'],
+                        treatment: ['chemist', 'tablet', 'drip', 'capsule'],
+                        remedy: ['bitters', 'alomo', 'paraga', 'native medicine', 'local medicine'],
+                        harmful: ['ogogoro', 'gammalin', 'jik', 'hypo', 'fuel'],
+                        refusal: ['stop the drug', 'leave the drug', 'no go hospital', 'no need hospital'],
+                        vulnerable: ['pikin', 'belle woman', 'woman wey get belle', 'old people'],
+                        source: ['dem talk', 'dem say', 'baba', 'alfa']
+                    }
+                },
+                ha: {
+                    markers: ['yana', 'tana', 'suna', 'cewa', 'kuma', 'wannan', 'zai', 'za', 'ake', 'mutane', 'sosai', 'domin', 'daga'],
+                    negations: ['ba', 'babu', 'kada', 'kar'],
+                    debunks: ['ba gaskiya', 'karya ne', 'karya ce', 'ƙarya ne', 'ƙarya ce'],
+                    categories: {
+                        disease: ['ciwon suga', 'zazzabi', 'zazzabin cizon sauro', 'kanjamau', 'tarin fuka', 'kyanda', 'shan inna',
+                            'amai da gudawa', 'ciwon daji', 'hawan jini', 'ciwon hanta', 'sankarau', 'basir', 'cuta', 'cutar'],
+                        cure: ['warkar', 'warkarwa', 'magance', 'kashe'],
+                        prevention: ['kariya'],
+                        treatment: ['asibiti', 'allura', 'likita', 'rigakafi', 'magani'],
+                        remedy: ['maganin gargajiya', 'magani na gargajiya', 'tafarnuwa', 'citta', 'zuma', 'lemun tsami',
+                            'habbatus sauda', 'rubutu', "addu'a", 'ganye', 'saiwa'],
+                        harmful: ['kananzir', 'fetur', 'guba', 'fitsari'],
+                        refusal: ['ba sai an je', 'daina', 'maimakon'],
+                        vulnerable: ['jariri', 'jarirai', 'yara', 'yaro', 'mai ciki', 'masu ciki', 'tsofaffi'],
+                        conspiracy: ['hana haihuwa'],
+                        source: ['malam', 'boka', 'mai magani', 'sakon murya']
+                    }
+                },
+                yo: {
+                    markers: ['awon', 'won', 'pe', 'nitori', 'sugbon', 'yii', 'naa', 'gbogbo', 'lati', 'pelu', 'maa', 'ati', 'ni'],
+                    negations: ['ko', 'kii', 'ma'],
+                    debunks: ['ko je ooto', 'iro ni'],
+                    categories: {
+                        disease: ['iba', 'iba ponju', 'jedi jedi', 'ito suga', 'jejere', 'iko ife', 'eje riru', 'igbona', 'arun', 'aisan'],
+                        cure: ['iwosan', 'wosan'],
+                        treatment: ['ile iwosan', 'abere', 'dokita', 'oogun oyinbo', 'ajesara'],
+                        remedy: ['agbo', 'oogun ibile', 'egbo', 'ewe', 'ayu', 'atale', 'oyin', 'osan wewe', 'ewuro', 'dongoyaro',
+                            'agunmu', 'adura', 'awe'],
+                        harmful: ['majele', 'mu ito', 'ito maalu'],
+                        refusal: ['dipo', 'ju oogun nu', 'fi oogun sile'],
+                        vulnerable: ['omo ikoko', 'omode', 'aboyun', 'alaboyun', 'agbalagba'],
+                        source: ['babalawo', 'onisegun', 'woli', 'pasito']
+                    }
+                },
+                ig: {
+                    markers: ['ndi', 'nke', 'bu', 'anyi', 'unu', 'maka', 'nwere', 'ihe', 'dika', 'mana', 'onye', 'ha', 'ekwu', 'site'],
+                    negations: ['adighi', 'emela', 'abughi'],
+                    debunks: ['abughi eziokwu', 'okwu ugha', 'ugha'],
+                    categories: {
+                        disease: ['oria', 'oria shuga', 'oria obi', 'oria kansa', 'ukwara nta', 'afo osisa', 'akpata oyi'],
+                        cure: ['agwo', 'gwoo', 'ogwugwo'],
+                        prevention: ['echebe', 'mgbochi'],
+                        treatment: ['ulo ogwu', 'dibia bekee', 'ogwu bekee', 'ogwu mgbochi'],
+                        remedy: ['ogwu odinala', 'akwukwo ndu', 'mkpa akwukwo', 'onugbu', 'utazi', 'ose oji', 'ekpere'],
+                        harmful: ['nsi', 'mamiri'],
+                        refusal: ['agala ulo ogwu', 'kama', 'kwusi', 'tufuo'],
+                        vulnerable: ['nwa ohuru', 'umuaka', 'nwatakiri', 'nwanyi di ime', 'ndi agadi'],
+                        source: ['dibia', 'onye ogwu', 'pasto', 'onye amuma']
+                    }
+                }
+            }
+        },
+        
+        // Email domain classifier (see EMAIL DOMAINS). Listed domains also
+        // match their subdomains; known institutions win over suffixes.
+        // Typo suggestions come from the consumer and institution lists.
+        emailDomains: {
+            consumer: ['gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'hotmail.com', 'outlook.com',
+                'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com', 'proton.me', 'protonmail.com', 'mail.com', 'gmx.com',
+                'zoho.com', 'yandex.com'],
+            disposable: ['mailinator.com', 'guerrillamail.com', 'sharklasers.com', '10minutemail.com', 'tempmail.com',
+                'temp-mail.org', 'yopmail.com', 'trashmail.com', 'getnada.com', 'dispostable.com', 'maildrop.cc',
+                'throwawaymail.com'],
+            institutions: [
+                { domain: 'health.gov.ng', name: 'Federal Ministry of Health', orgType: 'moh' },
+                { domain: 'ncdc.gov.ng', name: 'Nigeria Centre for Disease Control', orgType: 'moh' },
+                { domain: 'nphcda.gov.ng', name: 'National Primary Health Care Development Agency', orgType: 'moh' },
+                { domain: 'nafdac.gov.ng', name: 'NAFDAC', orgType: 'pharmacy' },
+                { domain: 'pcn.gov.ng', name: 'Pharmacy Council of Nigeria', orgType: 'pharmacy' },
+                { domain: 'luth.gov.ng', name: 'Lagos University Teaching Hospital', orgType: 'hospital' },
+                { domain: 'lasuth.org.ng', name: 'Lagos State University Teaching Hospital', orgType: 'hospital' },
+                { domain: 'uch-ibadan.org.ng', name: 'University College Hospital, Ibadan', orgType: 'hospital' },
+                { domain: 'akth.org.ng', name: 'Aminu Kano Teaching Hospital', orgType: 'hospital' },
+                { domain: 'abuth.gov.ng', name: 'Ahmadu Bello University Teaching Hospital', orgType: 'hospital' },
+                { domain: 'unth.edu.ng', name: 'University of Nigeria Teaching Hospital', orgType: 'hospital' },
+                { domain: 'who.int', name: 'World Health Organization', orgType: 'ngo' },
+                { domain: 'unicef.org', name: 'UNICEF', orgType: 'ngo' },
+                { domain: 'msf.org', name: 'Médecins Sans Frontières', orgType: 'ngo' },
+                { domain: 'nigeriahealthwatch.com', name: 'Nigeria Health Watch', orgType: 'media' },
+                { domain: 'premiumtimesng.com', name: 'Premium Times', orgType: 'media' },
+                { domain: 'punchng.com', name: 'Punch', orgType: 'media' },
+                { domain: 'channelstv.com', name: 'Channels TV', orgType: 'media' }
+            ],
+            suffixes: [
+                { suffix: 'gov.ng', orgType: 'moh' },
+                { suffix: 'edu.ng', orgType: 'academic' },
+                { suffix: 'edu', orgType: 'academic' },
+                { suffix: 'ac.uk', orgType: 'academic' },
+                { suffix: 'int', orgType: 'ngo' }
+            ],
+            typoMaxDistance: 2
+        },
+        
+        // Waitlist form drafts (see FORM DRAFTS). Kept in localStorage with
+        // functional consent, otherwise in sessionStorage for this tab.
+        drafts: {
+            storageKey: 'pritma_waitlist_draft',
+            debounceMs: 800,
+            expiryHours: 24
+        },
+        
+        // Layered bot checks on the waitlist form (see BOT PROTECTION).
+        // Timing and interaction failures are only reported (and escalate
+        // to a registered captcha provider when captcha.when is
+        // 'suspicious'); the honeypot, throttle and captcha can block.
+        botProtection: {
+            minSubmitMs: 3000,
+            minInteractions: 3,
+            // Leading zero bits of SHA-256; 14 bits is ~16k hashes, a second
+            // or two on a low-end phone, computed while the user types
+            proofOfWork: {
+                difficulty: 14,
+                timeoutMs: 10000
+            },
+            throttle: {
+                maxAttempts: 5,
+                windowMs: 10 * 60 * 1000,
+                storageKey: 'pritma_submit_attempts'
+            },
+            captcha: {
+                when: 'suspicious' // 'suspicious' | 'always' | 'never'
+            }
+        },
+        
+        // Inline safety notice for dangerous advice typed into #myth (see
+        // SAFETY NOTICES)
+        safety: {
+            debounceMs: 400,
+            emergencyNumber: '112'
+        },
+        
+        // Near-duplicate detection for #myth (see DUPLICATE DETECTION).
+        // threshold is the share of the typed text's shingles found in a
+        // tracked myth or earlier submission. Stopwords (on top of the
+        // severity lexicons' marker words) are the filler of a report
+        // rather than of the myth itself.
+        duplicates: {
+            debounceMs: 400,
+            threshold: 0.5,
+            minShingles: 4,
+            stopwords: ['a', 'an', 'and', 'or', 'to', 'in', 'on', 'for', 'so', 'they', 'we', 'us', 'my', 'our', 'people',
+                'someone', 'say', 'says', 'said', 'told', 'tell', 'claim', 'claims', 'heard', 'have', 'has', 'just']
+        },
+        
+        // Remote myth feed for the observatory ticker. Cached with its ETag;
+        // a cached feed younger than revalidateAfterMs is used as-is, an older
+        // one is shown while it revalidates. Myths drop out maxAgeDays after
+        // firstSeen unless the feed sets expiresAt.
+        mythFeed: {
+            endpoint: 'https://api.pritma.health/myths/feed.json',
+            schemaVersion: 1,
+            cacheKey: 'pritma_myth_feed',
+            revalidateAfterMs: 10 * 60 * 1000,
+            maxAgeDays: 30
+        },
+        
+        // Toast notifications (see TOASTS). Toasts with an action stay up
+        // longer so there's time to reach the button.
+        toasts: {
+            durationMs: 5000,
+            actionDurationMs: 10000,
+            maxVisible: 3
+        },
+        
+        // Reduced motion / data saver (see MOTION & DATA SAVER). Sections are
+        // revealed regardless if the observer hasn't reported within
+        // revealFallbackMs.
+        motion: {
+            storageKey: 'pritma_motion',
+            revealFallbackMs: 3000
+        },
+        
+        // Inbound referral attribution from ?ref= links
+        referral: {
+            storageKey: 'pritma_referral',
+            attributionDays: 30
+        },
+        
         // Form validation rules
         validation: {
             email: {
                 minLength: 5,
                 maxLength: 254,
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                // Professional domains that suggest institutional email
-                personalDomains: ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com', 'icloud.com']
+                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
             },
             myth: {
                 minLength: 20,
                 maxLength: 1000
+            },
+            facilityName: {
+                maxLength: 120
             }
         },
         
-        // Queue position simulation (replace with real backend data)
-        baseQueuePosition: 247,
+        // Analytics delivery
+        analytics: {
+            transport: 'http', // 'http' | 'gtag' | 'plausible' | 'none'
+            endpoint: 'https://api.pritma.health/collect',
+            plausible: {
+                endpoint: 'https://plausible.io/api/event',
+                domain: 'pritma.health'
+            },
+            batchSize: 20,
+            flushIntervalMs: 15000,
+            maxStoredEvents: 100
+        },
+        
+        // Interface languages. Locale files live in locales/<code>.json;
+        // English is bundled in the script as the fallback.
+        i18n: {
+            defaultLocale: 'en',
+            supported: ['en', 'ha', 'yo', 'ig', 'pcm'],
+            storageKey: 'pritma_locale',
+            path: 'locales/'
+        },
+        
+        // Consent (NDPR). Bump version when the privacy policy changes.
+        consent: {
+            version: '2026-10',
+            storageKey: 'pritma_consent',
+            // Event data keys removed outright / replaced with a salted hash
+            dropKeys: ['email', 'userAgent'],
+            hashKeys: ['referralCode', 'referredBy', 'ref']
+        },
         
         // Performance monitoring
         performanceMetrics: {
@@ -45,6 +387,11 @@
 
     /* ==================== UTILITY FUNCTIONS ==================== */
     
+    // Development hosts: mock mode and PRITMA_DEBUG are only switched on here
+    function isLocalHost(hostname = window.location.hostname) {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(hostname) || hostname.endsWith('.localhost');
+    }
+    
     // Sanitize user input to prevent XSS
     function sanitizeInput(input) {
         const div = document.createElement('div');
@@ -52,26 +399,100 @@
         return div.innerHTML;
     }
     
-    // Generate cryptographically secure referral code
-    function generateReferralCode(email) {
-        const timestamp = Date.now();
-        const randomPart = Math.random().toString(36).substring(2, 10);
+    // Referral codes: 8 random symbols plus a check symbol, e.g. "K7PX-2MQF-4".
+    // The alphabet leaves out 0/O and 1/I so codes survive being read aloud
+    // or copied by hand, and the check symbol catches typos in ?ref= links.
+    const REFERRAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const REFERRAL_PATTERN = /^([A-HJ-NP-Z2-9]{4})-?([A-HJ-NP-Z2-9]{4})-?([A-HJ-NP-Z2-9])$/;
+    // Codes issued before the check symbol was added, e.g. "1X9ZQK-8F2A":
+    // a base-36 hash, then the last 4 base-36 digits of the signup time.
+    // The hash part is shorter than 6 when it had leading zeros.
+    const LEGACY_REFERRAL_PATTERN = /^[0-9A-Z]{1,6}-[0-9A-Z]{4}$/;
+    // A v2 code with its check symbol dropped, which would otherwise pass as
+    // legacy and skip the typo check. Legacy codes carry no format marker, so
+    // a legacy code with a 4-symbol hash drawn only from REFERRAL_ALPHABET has
+    // this shape too and is rejected with it. That needs a hash below 36^4
+    // (under 0.1% of legacy codes) and no 0/1/I/O in all 8 symbols; we accept
+    // losing those few over letting unchecked v2 typos through.
+    const UNCHECKED_REFERRAL_PATTERN = /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/;
+    
+    // Luhn mod N check symbol over REFERRAL_ALPHABET
+    function referralCheckSymbol(payload) {
+        const base = REFERRAL_ALPHABET.length;
+        let sum = 0;
+        let factor = 2;
+        
+        for (let i = payload.length - 1; i >= 0; i--) {
+            let addend = factor * REFERRAL_ALPHABET.indexOf(payload[i]);
+            addend = Math.floor(addend / base) + (addend % base);
+            sum += addend;
+            factor = factor === 2 ? 1 : 2;
+        }
+        
+        return REFERRAL_ALPHABET[(base - (sum % base)) % base];
+    }
+    
+    // Generate a referral code from crypto.getRandomValues
+    function generateReferralCode() {
+        const bytes = new Uint8Array(8);
+        window.crypto.getRandomValues(bytes);
+        
+        // 256 is a multiple of the 32-symbol alphabet, so this is unbiased
+        const payload = Array.from(bytes, byte => REFERRAL_ALPHABET[byte % REFERRAL_ALPHABET.length]).join('');
+        
+        return `${payload.slice(0, 4)}-${payload.slice(4)}-${referralCheckSymbol(payload)}`;
+    }
+    
+    // Validate and normalise a referral code typed or pasted by a user.
+    // Returns { valid, code, format: 'v2' | 'legacy', error }.
+    function parseReferralCode(input) {
+        const normalized = String(input || '').trim().toUpperCase().replace(/\s+/g, '');
+        
+        if (!normalized) {
+            return { valid: false, code: null, format: null, error: 'Referral code is empty' };
+        }
         
-        // Create a more secure hash
-        let hash = 0;
-        const combined = email + timestamp + randomPart;
+        const match = normalized.match(REFERRAL_PATTERN);
+        if (match) {
+            const payload = match[1] + match[2];
+            if (referralCheckSymbol(payload) !== match[3]) {
+                return { valid: false, code: null, format: 'v2', error: 'Referral code check failed (possible typo)' };
+            }
+            return { valid: true, code: `${match[1]}-${match[2]}-${match[3]}`, format: 'v2', error: null };
+        }
+        
+        if (UNCHECKED_REFERRAL_PATTERN.test(normalized)) {
+            return { valid: false, code: null, format: 'v2', error: 'Referral code is missing its check symbol' };
+        }
         
-        for (let i = 0; i < combined.length; i++) {
-            const char = combined.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
+        if (LEGACY_REFERRAL_PATTERN.test(normalized)) {
+            return { valid: true, code: normalized, format: 'legacy', error: null };
         }
         
-        // Convert to base36 and ensure uniqueness with timestamp
-        const hashStr = Math.abs(hash).toString(36).toUpperCase();
-        const timeStr = timestamp.toString(36).toUpperCase();
+        return { valid: false, code: null, format: null, error: 'Not a valid referral code' };
+    }
+    
+    // Random UUID for idempotency keys and event ids
+    function generateUniqueId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
         
-        return `${hashStr.substring(0, 6)}-${timeStr.substring(timeStr.length - 4)}`;
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    // Save a Blob through a temporary download link
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const anchor = document.createElement('a');
+        anchor.href = url;
+        anchor.download = filename;
+        document.body.appendChild(anchor);
+        anchor.click();
+        anchor.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
     
     // Debounce function for performance
@@ -87,710 +508,4984 @@
         };
     }
     
-    // Log analytics event (placeholder for real analytics)
-    function trackEvent(eventName, eventData) {
-        // Store in localStorage for demo purposes
-        try {
-            const events = JSON.parse(localStorage.getItem('pritma_analytics') || '[]');
-            events.push({
-                event: eventName,
-                data: sanitizeInput(JSON.stringify(eventData)),
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent,
-                url: window.location.href
-            });
-            
-            // Keep only last 100 events
-            if (events.length > 100) {
-                events.shift();
-            }
-            
-            localStorage.setItem('pritma_analytics', JSON.stringify(events));
-            
-            if (CONFIG.performanceMetrics.logToConsole) {
-                console.log(`[PRITMA Analytics] ${eventName}:`, eventData);
-            }
-            
-            // TODO: Send to real analytics service
-            // Example: gtag('event', eventName, eventData);
-            // Example: analytics.track(eventName, eventData);
-        } catch (error) {
-            console.error('Analytics tracking error:', error);
-        }
+    // Case- and accent-insensitive, so "yoruba" finds "Yorùbá"
+    function normalizeSearchText(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
     }
     
-    // Extract and categorize keywords from myth text
-    function extractAndCategorizeMyth(mythText) {
-        const text = mythText.toLowerCase();
-        
-        // Define categories
-        const categories = {
-            disease: ['covid', 'malaria', 'typhoid', 'hiv', 'aids', 'diabetes', 'cancer', 'tuberculosis', 'cholera'],
-            treatment: ['cure', 'medicine', 'drug', 'vaccine', 'injection', 'antibiotics', 'herbal', 'traditional'],
-            remedy: ['garlic', 'ginger', 'salt', 'water', 'herb', 'leaf', 'root', 'prayer', 'fasting'],
-            harmful: ['dangerous', 'deadly', 'poison', 'toxic', 'fatal', 'kill', 'death', 'harm'],
-            source: ['whatsapp', 'facebook', 'tiktok', 'instagram', 'voice note', 'video', 'pastor', 'imam']
-        };
-        
-        const detected = {
-            categories: [],
-            keywords: [],
-            severity: 'medium'
-        };
+    /* ==================== MYTH SEVERITY SCORING ==================== */
+    
+    // Scores a submitted myth by how much harm it could do. Text is
+    // tokenized and stemmed, lexicon terms from every language pack
+    // (CONFIG.severity.lexicons) are matched on whole tokens, and terms inside a negation's scope ("does
+    // NOT cure", "... is not true") are reported but not scored. The
+    // levels are shared with the myth feed and the explorer's filter.
+    const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+    
+    // Punctuation is kept as tokens so negation can't cross clauses
+    const CLAUSE_PUNCTUATION = /^[.!?;:,]$/;
+    const SENTENCE_END = /^[.!?;]$/;
+    
+    function tokenizeMyth(text) {
+        const normalized = normalizeSearchText(text).replace(/[‘’`]/g, '\'');
+        return normalized.match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?|[.!?;:,]/gu) || [];
+    }
+    
+    // Light suffix stripping, applied to text and lexicon alike:
+    // cures/cured/curing -> cur, babies -> baby, stopped -> stop
+    function stemToken(token) {
+        if (token.length <= 3 || /\d/.test(token)) {
+            return token;
+        }
         
-        // Detect categories
-        for (const [category, keywords] of Object.entries(categories)) {
-            if (keywords.some(keyword => text.includes(keyword))) {
-                detected.categories.push(category);
+        let stem = token.replace(/'s$/, '');
+        if (/ies$/.test(stem)) {
+            stem = `${stem.slice(0, -3)}y`;
+        } else if (/[^sui]s$/.test(stem) || /(?:ing|ed|es)$/.test(stem)) {
+            const stripped = stem.replace(/(?:ing|ed|es|s)$/, '');
+            if (stripped.length >= 3) {
+                stem = stripped;
             }
         }
         
-        // Extract significant keywords (5+ characters, not common words)
-        const commonWords = ['that', 'this', 'with', 'from', 'about', 'said', 'they', 'have', 'been', 'were', 'what', 'when', 'where'];
-        const words = text.match(/\b\w{5,}\b/g) || [];
-        detected.keywords = words
-            .filter(word => !commonWords.includes(word))
-            .slice(0, 5);
-        
-        // Determine severity
-        if (detected.categories.includes('harmful') || detected.categories.includes('disease')) {
-            detected.severity = 'high';
-        } else if (detected.categories.includes('treatment') || detected.categories.includes('remedy')) {
-            detected.severity = 'medium';
-        } else {
-            detected.severity = 'low';
+        // stopp -> stop (but keep kill, miss, buzz)
+        if (/([^aeioulsz])\1$/.test(stem)) {
+            stem = stem.slice(0, -1);
         }
         
-        return detected;
+        return stem.length > 3 ? stem.replace(/e$/, '') : stem;
     }
-
-    /* ==================== PAGE LOADER ==================== */
     
-    function hidePageLoader() {
-        const loader = document.getElementById('pageLoader');
-        if (loader) {
-            setTimeout(() => {
-                loader.classList.add('hidden');
-                trackEvent('page_load_complete', {
-                    loadTime: performance.now()
+    // Lexicon terms as stem sequences, built once per lexicon object
+    const compiledLexicons = new WeakMap();
+    
+    function compileLexicon(lexicon) {
+        if (!compiledLexicons.has(lexicon)) {
+            const terms = [];
+            Object.entries(lexicon.categories).forEach(([category, entries]) => {
+                entries.forEach(term => {
+                    const stems = tokenizeMyth(term).map(stemToken);
+                    if (stems.length) {
+                        terms.push({ category, term, stems });
+                    }
                 });
-            }, 500);
+            });
+            
+            compiledLexicons.set(lexicon, {
+                terms,
+                markers: new Set((lexicon.markers || []).map(word => normalizeSearchText(word))),
+                negations: new Set((lexicon.negations || []).map(word => normalizeSearchText(word))),
+                clauseBreaks: new Set((lexicon.clauseBreaks || []).map(word => normalizeSearchText(word))),
+                debunks: (lexicon.debunks || []).map(phrase => tokenizeMyth(phrase).map(stemToken))
+            });
         }
+        return compiledLexicons.get(lexicon);
     }
     
-    /* ==================== COUNTDOWN TIMER ==================== */
-    
-    function updateCountdown() {
-        const now = new Date().getTime();
-        const distance = CONFIG.launchDate.getTime() - now;
-        
-        if (distance < 0) {
-            // Launch date has passed
-            document.getElementById('days').textContent = '00';
-            document.getElementById('hours').textContent = '00';
-            document.getElementById('minutes').textContent = '00';
-            document.getElementById('seconds').textContent = '00';
-            return;
+    function containsSequence(stems, sequence, from = 0, to = stems.length) {
+        for (let start = from; start + sequence.length <= to; start++) {
+            if (sequence.every((stem, offset) => stems[start + offset] === stem)) {
+                return true;
+            }
         }
-        
-        const days = Math.floor(distance / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((distance % (1000 * 60)) / 1000);
-        
-        // Update DOM with zero-padded values
-        document.getElementById('days').textContent = String(days).padStart(2, '0');
-        document.getElementById('hours').textContent = String(hours).padStart(2, '0');
-        document.getElementById('minutes').textContent = String(minutes).padStart(2, '0');
-        document.getElementById('seconds').textContent = String(seconds).padStart(2, '0');
-    }
-    
-    function initCountdown() {
-        updateCountdown();
-        setInterval(updateCountdown, 1000);
+        return false;
     }
     
-    /* ==================== MYTH TICKER ==================== */
-    
-    const MYTHS_DATA = [
-        {
-            tag: "Trending in Kano",
-            content: "A viral voice note claims that eating raw garlic daily can cure COVID-19 and prevent all respiratory infections.",
-            aiScore: "Standard AI models scored this as 'Generally Safe' - garlic has antimicrobial properties.",
-            clinicalFlag: "Our clinical experts flagged it as 'High Harm' - delays proper treatment, creates false security, may cause gastric issues.",
-            details: "This myth has been shared over 50,000 times in the last 72 hours. While garlic has some antimicrobial properties, it is not a cure or preventive measure for COVID-19. Patients delaying proper medical treatment based on this advice are at significant risk."
-        },
-        {
-            tag: "Spreading in Lagos",
-            content: "WhatsApp messages suggest that drinking salt water can prevent malaria and kill parasites in the bloodstream.",
-            aiScore: "Standard AI models scored this as 'Possibly Helpful' - salt has some antiseptic properties.",
-            clinicalFlag: "Our clinical experts flagged it as 'Critical Risk' - causes severe dehydration, hypertension, kidney damage. Zero anti-malarial effect.",
-            details: "This dangerous myth has led to 3 documented hospitalizations this week. Salt water consumption for malaria prevention is medically baseless and can cause life-threatening electrolyte imbalances, especially in vulnerable populations."
-        },
-        {
-            tag: "Viral This Week",
-            content: "A trending TikTok claims that herbal mixtures can cure diabetes and eliminate the need for insulin.",
-            aiScore: "Standard AI models scored this as 'Traditional Medicine - Informational' without harm flags.",
-            clinicalFlag: "Our clinical experts flagged it as 'Life-Threatening' - stopping insulin causes diabetic ketoacidosis, organ failure, death.",
-            details: "Multiple patients have been admitted to emergency rooms after discontinuing insulin based on this advice. Diabetic patients require consistent medical management. Herbal supplements may complement but never replace insulin therapy."
-        },
-        {
-            tag: "Facebook Post Alert",
-            content: "Popular health page suggests that vaccines contain microchips that can track your location and control your thoughts.",
-            aiScore: "Standard AI models scored this as 'Opinion - Low Confidence' without explicit warnings.",
-            clinicalFlag: "Our clinical experts flagged it as 'Public Health Crisis' - drives vaccine hesitancy, enables preventable disease outbreaks.",
-            details: "This conspiracy theory is contributing to declining vaccination rates in urban centers. Vaccines undergo rigorous testing and contain no tracking devices. Vaccine hesitancy has resulted in measles and polio resurgences in several communities."
-        },
-        {
-            tag: "Circulating in Abuja",
-            content: "Voice notes claim that taking antibiotics at the first sign of any illness prevents all infections from developing.",
-            aiScore: "Standard AI models scored this as 'Medical Advice - General' with standard antibiotic information.",
-            clinicalFlag: "Our clinical experts flagged it as 'Critical Harm' - drives antibiotic resistance, suppresses diagnosis, causes adverse reactions.",
-            details: "Inappropriate antibiotic use is accelerating antimicrobial resistance in Nigeria. Antibiotics are effective only against bacterial infections, not viral illnesses. Misuse contributes to treatment-resistant infections that claim thousands of lives annually."
+    // A negation word shortly before the term within the same clause, or a
+    // rebuttal ("... is not true") anywhere in the same sentence. Words that
+    // are part of another match ("don't need") don't count as negations.
+    // `packs` are the compiled lexicons whose negations apply.
+    function isNegated(tokens, stems, start, claimed, packs) {
+        const { negationWindow } = CONFIG.severity;
+        
+        for (let i = start - 1; i >= Math.max(0, start - negationWindow); i--) {
+            if (CLAUSE_PUNCTUATION.test(tokens[i]) || packs.some(pack => pack.clauseBreaks.has(tokens[i]))) {
+                break;
+            }
+            if (!claimed.has(i) && packs.some(pack => pack.negations.has(tokens[i]))) {
+                return true;
+            }
         }
-    ];
-    
-    function populateTicker() {
-        const wrapper = document.getElementById('tickerWrapper');
-        if (!wrapper) return;
         
-        const mythCards = MYTHS_DATA.map((myth, index) => `
-            <article class="myth-card" 
-                     data-myth-id="${index}"
-                     tabindex="0" 
-                     role="article"
-                     aria-label="Health misinformation example: ${myth.tag}">
-                <div class="myth-tag">${sanitizeInput(myth.tag)}</div>
-                <div class="myth-content">"${sanitizeInput(myth.content)}"</div>
-                <div class="myth-comparison">
-                    <div class="comparison-item ai-score">
-                        <strong>AI Score:</strong> ${sanitizeInput(myth.aiScore)}
-                    </div>
-                    <div class="comparison-item clinical-flag">
-                        <strong>Clinical Flag:</strong> ${sanitizeInput(myth.clinicalFlag)}
-                    </div>
-                </div>
-                <div class="myth-details">
-                    <p>${sanitizeInput(myth.details)}</p>
-                </div>
-            </article>
-        `).join('');
+        let sentenceStart = start;
+        while (sentenceStart > 0 && !SENTENCE_END.test(tokens[sentenceStart - 1])) sentenceStart--;
+        let sentenceEnd = start;
+        while (sentenceEnd < tokens.length && !SENTENCE_END.test(tokens[sentenceEnd])) sentenceEnd++;
         
-        // Duplicate for seamless loop
-        wrapper.innerHTML = mythCards + mythCards;
+        return packs.some(pack => pack.debunks.some(sequence =>
+            containsSequence(stems, sequence, sentenceStart, sentenceEnd)));
+    }
+    
+    // Every lexicon hit in the text, across all language packs. Longer
+    // phrases win overlaps, so "salt water" is one harmful match rather
+    // than also a salt remedy.
+    function findLexiconMatches(tokens, stems) {
+        const candidates = [];
         
-        // Add click/keyboard event listeners
-        wrapper.querySelectorAll('.myth-card').forEach(card => {
-            card.addEventListener('click', () => toggleMythDetails(card));
-            card.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    toggleMythDetails(card);
+        Object.entries(CONFIG.severity.lexicons).forEach(([language, lexicon]) => {
+            compileLexicon(lexicon).terms.forEach(({ category, term, stems: termStems }) => {
+                for (let start = 0; start + termStems.length <= stems.length; start++) {
+                    if (containsSequence(stems, termStems, start, start + termStems.length)) {
+                        candidates.push({ language, category, term, start, length: termStems.length });
+                    }
                 }
             });
         });
-    }
-    
-    function toggleMythDetails(card) {
-        const wasExpanded = card.classList.contains('expanded');
-        card.classList.toggle('expanded');
         
-        // Track interaction
-        const mythId = card.dataset.mythId;
-        if (!wasExpanded && mythId) {
-            trackEvent('myth_expanded', {
-                mythId: mythId,
-                mythTag: MYTHS_DATA[mythId].tag
-            });
-        }
+        candidates.sort((a, b) => b.length - a.length || a.start - b.start);
+        
+        const claimed = new Set();
+        const matches = candidates.filter(candidate => {
+            const indexes = Array.from({ length: candidate.length }, (_, offset) => candidate.start + offset);
+            if (indexes.some(index => claimed.has(index))) return false;
+            
+            indexes.forEach(index => claimed.add(index));
+            return true;
+        });
+        
+        return { matches: matches.sort((a, b) => a.start - b.start), claimed };
     }
     
-    /* ==================== SCROLL ANIMATIONS ==================== */
-    
-    let scrollTimeout;
-    function handleScroll() {
-        const overlay = document.getElementById('scanOverlay');
-        if (!overlay) return;
+    // The pack with the most evidence: each marker word counts 1 and each
+    // lexicon hit 0.5, since content words are often borrowed (Pidgin is
+    // full of English terms). Text with no evidence is assumed to be in the
+    // page locale.
+    function detectMythLanguage(tokens, matches) {
+        const { lexicons } = CONFIG.severity;
+        const evidence = Object.entries(lexicons).map(([language, lexicon]) => {
+            const { markers } = compileLexicon(lexicon);
+            const markerCount = tokens.filter(token => markers.has(token)).length;
+            const termCount = matches.filter(match => match.language === language).length;
+            return { language, score: markerCount + termCount * 0.5 };
+        });
         
-        overlay.classList.add('active');
+        const total = evidence.reduce((sum, entry) => sum + entry.score, 0);
+        if (!total) {
+            return { language: lexicons[currentLocale] ? currentLocale : CONFIG.i18n.defaultLocale, confidence: 0 };
+        }
         
-        clearTimeout(scrollTimeout);
-        scrollTimeout = setTimeout(() => {
-            overlay.classList.remove('active');
-        }, 2000);
+        // Stable sort, so ties go to the pack listed first
+        const [best] = evidence.sort((a, b) => b.score - a.score);
+        return { language: best.language, confidence: Math.round((best.score / total) * 100) / 100 };
     }
     
-    // Debounced scroll handler for performance
-    const debouncedScroll = debounce(handleScroll, 100);
-    
-    function initScrollAnimations() {
-        window.addEventListener('scroll', debouncedScroll, { passive: true });
-        
-        // Header scroll effect
-        const header = document.querySelector('header');
-        window.addEventListener('scroll', () => {
-            if (window.scrollY > 50) {
-                header.classList.add('scrolled');
-            } else {
-                header.classList.remove('scrolled');
-            }
-        }, { passive: true });
+    function getSeverityLevel(score) {
+        const { thresholds } = CONFIG.severity;
+        if (score >= thresholds.critical) return 'critical';
+        if (score >= thresholds.high) return 'high';
+        if (score >= thresholds.medium) return 'medium';
+        return 'low';
     }
     
-    /* ==================== SMOOTH SCROLL ==================== */
+    // Confidence grows with the amount of evidence and with the distance
+    // from the nearest severity threshold
+    function getSeverityConfidence(score, evidenceCount) {
+        const distance = Math.min(...Object.values(CONFIG.severity.thresholds).map(threshold => Math.abs(score - threshold)));
+        const evidence = 1 - 1 / (1 + evidenceCount);
+        const margin = Math.min(1, distance / 3);
+        return Math.round((0.5 * evidence + 0.5 * margin) * 100) / 100;
+    }
     
-    window.scrollToSection = function(sectionId) {
-        const element = document.getElementById(sectionId);
-        if (!element) return;
+    function extractAndCategorizeMyth(mythText) {
+        const { weights, combinations, maxTermsPerCategory, lexicons } = CONFIG.severity;
+        const tokens = tokenizeMyth(mythText);
+        const stems = tokens.map(stemToken);
         
-        const headerHeight = document.querySelector('header').offsetHeight;
-        const targetPosition = element.offsetTop - headerHeight - 20;
+        const { matches: found, claimed } = findLexiconMatches(tokens, stems);
+        const detected = detectMythLanguage(tokens, found);
         
-        window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
+        // A term is negated by its own language's words or the submission's
+        const matches = found.map(({ language, category, term, start, length }) => {
+            const packs = [...new Set([lexicons[language], lexicons[detected.language]])].map(compileLexicon);
+            return {
+                category,
+                term,
+                lexicon: language,
+                text: tokens.slice(start, start + length).join(' '),
+                negated: isNegated(tokens, stems, start, claimed, packs)
+            };
         });
+        const scored = matches.filter(match => !match.negated);
         
-        trackEvent('cta_clicked', {
-            target: sectionId,
-            source: 'hero'
+        // Distinct terms per category, capped so one long list can't dominate
+        const termsByCategory = {};
+        scored.forEach(match => {
+            termsByCategory[match.category] = termsByCategory[match.category] || new Set();
+            termsByCategory[match.category].add(match.term);
         });
-    };
-    
-    /* ==================== FORM VALIDATION ==================== */
-    
-    function showError(groupId, message) {
-        const group = document.getElementById(groupId);
-        if (!group) return;
         
-        group.classList.add('error');
-        const errorElement = group.querySelector('.error-message');
-        if (errorElement) {
-            errorElement.textContent = message;
-        }
-    }
+        const contributions = {};
+        Object.entries(termsByCategory).forEach(([category, terms]) => {
+            contributions[category] = (weights[category] || 0) * Math.min(terms.size, maxTermsPerCategory);
+        });
+        
+        let score = Object.values(contributions).reduce((sum, value) => sum + value, 0);
+        const appliedCombinations = combinations.filter(combination =>
+            combination.categories.every(category => termsByCategory[category]));
+        appliedCombinations.forEach(combination => {
+            score += combination.bonus;
+        });
+        
+        const categories = Object.keys(contributions).sort((a, b) => contributions[b] - contributions[a]);
+        const keywords = [...new Set(categories.flatMap(category => [...termsByCategory[category]]))].slice(0, 5);
+        
+        return {
+            severity: getSeverityLevel(score),
+            score: Math.round(score * 10) / 10,
+            confidence: getSeverityConfidence(score, scored.length),
+            categories,
+            keywords,
+            combinations: appliedCombinations.map(combination => combination.categories.join('+')),
+            language: detected.language,
+            languageConfidence: detected.confidence,
+            lexicons: [...new Set(scored.map(match => match.lexicon))],
+            matches
+        };
+    }
+    
+    // Precision and recall per severity level against a labelled corpus
+    // ([{ text, severity, language? }], see fixtures/severity/corpus.json),
+    // plus language detection accuracy for samples that name a language
+    function evaluateSeverityModel(samples) {
+        const confusion = {};
+        SEVERITY_LEVELS.forEach(expected => {
+            confusion[expected] = {};
+            SEVERITY_LEVELS.forEach(predicted => {
+                confusion[expected][predicted] = 0;
+            });
+        });
+        
+        const misclassified = [];
+        const languages = { labelled: 0, correct: 0, misdetected: [] };
+        samples.forEach(sample => {
+            const analysis = extractAndCategorizeMyth(sample.text);
+            confusion[sample.severity][analysis.severity]++;
+            
+            if (analysis.severity !== sample.severity) {
+                misclassified.push({
+                    text: sample.text,
+                    expected: sample.severity,
+                    predicted: analysis.severity,
+                    score: analysis.score
+                });
+            }
+            
+            if (sample.language) {
+                languages.labelled++;
+                if (analysis.language === sample.language) {
+                    languages.correct++;
+                } else {
+                    languages.misdetected.push({ text: sample.text, expected: sample.language, detected: analysis.language });
+                }
+            }
+        });
+        
+        const classes = SEVERITY_LEVELS.map(level => {
+            const truePositives = confusion[level][level];
+            const predicted = SEVERITY_LEVELS.reduce((sum, expected) => sum + confusion[expected][level], 0);
+            const actual = SEVERITY_LEVELS.reduce((sum, other) => sum + confusion[level][other], 0);
+            const precision = predicted ? truePositives / predicted : 0;
+            const recall = actual ? truePositives / actual : 0;
+            
+            return {
+                severity: level,
+                precision: Math.round(precision * 1000) / 1000,
+                recall: Math.round(recall * 1000) / 1000,
+                f1: precision + recall ? Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000 : 0,
+                support: actual
+            };
+        });
+        
+        return {
+            accuracy: samples.length ? Math.round(((samples.length - misclassified.length) / samples.length) * 1000) / 1000 : 0,
+            classes,
+            confusion,
+            misclassified,
+            languageAccuracy: languages.labelled ? Math.round((languages.correct / languages.labelled) * 1000) / 1000 : null,
+            misdetected: languages.misdetected
+        };
+    }
+
+    /* ==================== INTERNATIONALIZATION ==================== */
+    
+    // English is bundled and is the fallback for any key a locale is
+    // missing. Other locales load from locales/<code>.json on demand.
+    // Placeholders use {name} and are filled by t(key, { name }).
+    const MESSAGES_EN = {
+        'locale.label': 'Language',
+        'header.mySpot': 'My Spot',
+        
+        'hero.status': 'Status: Critical',
+        'hero.title': 'Health Rumors Move Faster Than Medicine. We\'re Closing the Gap.',
+        'hero.subtitle': 'In 2026, a WhatsApp voice note can undo a year of clinical care in seconds. PRITMA is the world\'s first clinical-grade intelligence platform built to detect and neutralize life-threatening misinformation before it reaches your patients.',
+        'hero.ctaPrimary': 'Secure Early Access for My Institution',
+        'hero.ctaPrimaryLabel': 'Join waitlist for early institutional access',
+        'hero.ctaLive': 'Get PRITMA for My Institution',
+        'hero.ctaLiveLabel': 'Sign up your institution for PRITMA',
+        'hero.ctaSecondary': 'View the Live Hallucination Tracker',
+        'hero.ctaSecondaryLabel': 'View live hallucination tracker',
+        
+        'countdown.title': 'Days Until {milestone}',
+        'countdown.live': 'We\'re live: {milestone}',
+        'countdown.complete': 'PRITMA Sentinel Is Live Across Nigeria',
+        'countdown.target': '{wat} WAT ({local} your time)',
+        'countdown.targetWat': '{wat} WAT',
+        'countdown.days': 'Days',
+        'countdown.hours': 'Hours',
+        'countdown.minutes': 'Minutes',
+        'countdown.seconds': 'Seconds',
+        'milestone.sentinel-beta': 'Sentinel Beta in Lagos & Kano',
+        'milestone.public-launch': 'Public Launch Across Nigeria',
+        'milestone.abuja-rollout': 'Rollout in Abuja & Port Harcourt',
+        'calendar.label': 'Add to calendar:',
+        'calendar.ics': 'Download .ics',
+        'calendar.google': 'Google Calendar',
+        'calendar.outlook': 'Outlook',
+        'calendar.summary': 'PRITMA Health: {milestone}',
+        'calendar.description': 'PRITMA Health goes live: {milestone}. Clinical-grade protection against dangerous health misinformation for your institution.\n\n{url}',
+        
+        'observatory.title': 'The Hallucination Observatory',
+        'observatory.subtitle': 'Real myths circulating right now. Standard AI thinks they\'re safe. Our clinical experts know better.',
+        'observatory.point': 'The Point: You are seeing the \'Invisible Danger\' that only PRITMA can detect.',
+        'observatory.note': 'These are just {count} of the myths circulating right now. The full stream never stops.',
+        'observatory.empty': 'We can\'t show the latest myths right now. Check back soon.',
+        'ticker.tagRegion': 'Circulating in {region}',
+        'ticker.meta': '{platform} · {shares} shares',
+        'ticker.aiScore': 'AI Score:',
+        'ticker.permalink': 'Link to this debunk',
+        'ticker.pause': 'Pause',
+        'ticker.play': 'Play',
+        'ticker.prev': 'Previous myth',
+        'ticker.next': 'Next myth',
+        'explorer.toggle': 'Explore all myths',
+        'explorer.toggleBack': 'Back to live ticker',
+        'explorer.search': 'Search',
+        'explorer.searchPlaceholder': 'Search claims, regions or platforms',
+        'explorer.region': 'Region',
+        'explorer.category': 'Disease area',
+        'explorer.severity': 'Severity',
+        'explorer.platform': 'Platform',
+        'explorer.all': 'All',
+        'explorer.clear': 'Clear filters',
+        'explorer.results': 'Showing {count} of {total} myths',
+        'explorer.empty': 'No myths match these filters.',
+        'severity.low': 'Low',
+        'severity.medium': 'Medium',
+        'severity.high': 'High',
+        'severity.critical': 'Critical',
+        'category.infectious': 'Infectious disease',
+        'category.chronic': 'Chronic disease',
+        'category.maternal': 'Maternal health',
+        'category.vaccines': 'Vaccines',
+        'category.antimicrobial': 'Antibiotics',
+        'category.first-aid': 'First aid & injuries',
+        'category.other': 'Other',
+        'ticker.clinicalFlag': 'Clinical Flag:',
+        'ticker.cardLabel': 'Health misinformation example: {tag}',
+        
+        'waitlist.title': 'Join the Waitlist',
+        'waitlist.subtitle': 'Tiered access. Priority goes to institutions combating misinformation on the frontlines.',
+        'waitlist.incentive': 'Invite 2 colleagues to move up 10 positions in the queue.',
+        'referral.inviteTitle': 'Invited by a colleague.',
+        'referral.inviteText': 'Your signup will help them move up the queue.',
+        
+        'form.email.label': 'Work Email',
+        'form.email.hint': 'Use your institutional email for priority access',
+        'email.suggestion': 'Did you mean {email}?',
+        'email.consumerWarning': 'Personal addresses are welcome, but institutional emails (.gov.ng, .edu.ng or your hospital\'s domain) get priority access: we can verify the organization and onboard its whole team.',
+        'email.institutional': 'Institutional email: you\'ll get priority access.',
+        'email.institutionKnown': 'Recognised institutional email ({name}): you\'ll get priority access.',
+        'form.orgType.label': 'Organization Type',
+        'form.orgType.placeholder': 'Select your organization type',
+        'form.orgType.moh': 'Ministry of Health',
+        'form.orgType.ngo': 'NGO / Non-Profit',
+        'form.orgType.hospital': 'Private Hospital / Clinic',
+        'form.orgType.media': 'Media Organization',
+        'form.orgType.academic': 'Academic / Research Institution',
+        'form.orgType.pharmacy': 'Pharmacy / Drug Distribution',
+        'form.orgType.other': 'Other Healthcare Organization',
+        'form.facilityName.label': 'Facility Name',
+        'form.facilityName.placeholder': 'e.g. St. Nicholas Hospital, Lagos',
+        'form.myth.label': 'What is the most dangerous myth you\'ve encountered this week?',
+        'form.myth.placeholder': 'Example: \'Patients are drinking salt water to prevent malaria based on WhatsApp voice notes...\'',
+        'form.myth.characters': 'characters',
+        'form.myth.hint': 'This helps us understand the misinformation landscape in your area',
+        'draft.prompt': 'You have an unsent draft from {time}. Restore your draft?',
+        'draft.restore': 'Restore',
+        'draft.discard': 'Discard',
+        'form.submit': 'Secure My Institution\'s Access',
+        'form.submitting': 'Submitting...',
+        'form.privacy': 'We respect your privacy. Your information is encrypted and never shared.',
+        'form.privacyLink': 'Privacy Policy',
+        
+        'validation.email.required': 'Email is required',
+        'validation.email.tooShort': 'Email is too short',
+        'validation.email.tooLong': 'Email is too long',
+        'validation.email.invalid': 'Please enter a valid email address',
+        'validation.email.disposable': 'Please use a permanent email address. Temporary inboxes can\'t receive your access details.',
+        'validation.orgType.required': 'Please select your organization type',
+        'validation.facilityName.required': 'Please enter the name of your hospital or clinic',
+        'validation.facilityName.tooLong': 'Please keep it under {maxLength} characters',
+        'validation.myth.required': 'Please share a health myth you\'ve encountered',
+        'validation.myth.tooShort': 'Please provide more detail (at least {minLength} characters)',
+        'validation.myth.tooLong': 'Please keep it under {maxLength} characters',
+        
+        // Clinical wording: change it in every locale at once, and only
+        // after clinical review
+        'safety.harmToVulnerable.title': 'This could poison a baby, child or unborn baby',
+        'safety.harmToVulnerable.message': 'Kerosene, bleach, urine, local gin and similar substances are dangerous for children and in pregnancy, even in small amounts. Nothing should be given to a baby or a pregnant woman without a health worker\'s advice.',
+        'safety.stopTreatment.title': 'Stopping prescribed treatment can be fatal',
+        'safety.stopTreatment.message': 'Insulin, HIV, TB, blood pressure and other prescribed medicines must not be stopped or replaced by a remedy or prayer. Talk to a doctor or pharmacist before changing any treatment.',
+        'safety.harmfulSubstance.title': 'This can cause serious poisoning',
+        'safety.harmfulSubstance.message': 'Drinking or applying salt water, bleach, kerosene, engine oil and similar substances does not prevent or cure illness. It can cause poisoning, burns and organ damage.',
+        'safety.medicineMisuse.title': 'Antibiotics are not for every illness',
+        'safety.medicineMisuse.message': 'Antibiotics do not work on viruses like colds or COVID. Taking them without a prescription or in extra doses causes side effects and resistance. Ask a doctor or pharmacist first.',
+        'safety.emergency': 'If someone has already done this and feels unwell, call {number} or go to the nearest hospital now.',
+        'safety.continue': 'You can still submit this myth. It helps us track and counter it.',
+        
+        'duplicate.tracked': 'This looks like the \'{title}\' myth we\'re tracking —',
+        'duplicate.submitted': 'This looks like a myth you already reported —',
+        'duplicate.addDetails': 'add details?',
+        
+        'submit.error.validation': 'Some of your details could not be accepted. Please check the form and try again.',
+        'submit.error.duplicate': 'This email is already on the waitlist. Check your inbox for your referral link.',
+        'submit.error.rateLimitRetry': 'Too many attempts. Please try again in {seconds} seconds.',
+        'submit.error.rateLimit': 'Too many attempts. Please wait a moment and try again.',
+        'submit.error.throttled': 'Too many signup attempts from this browser. Please try again in {minutes} min.',
+        'submit.error.captcha': 'We couldn\'t complete the security check. Please try again.',
+        'submit.error.timeout': 'The connection timed out. Please check your network and try again.',
+        'submit.error.network': 'We couldn\'t reach our servers. Please check your connection and try again.',
+        'submit.error.server': 'Sorry, something went wrong on our side. Please try again or contact us directly.',
+        'submit.retry': 'Retry',
+        'submit.pending': 'Pending: we couldn\'t reach our servers. Your signup is saved on this device and will be sent automatically when your connection returns.',
+        
+        'modal.title': 'You\'re On The Priority List',
+        'modal.subtitle': 'Your institution has been added to the early access queue.',
+        'modal.subtitleReturning': 'Here\'s where your institution stands in the early access queue.',
+        'modal.positionLabel': 'Current Position in Queue',
+        'modal.positionPending': 'Pending',
+        'modal.done': 'Done',
+        'modal.close': 'Close modal',
+        'toast.dismiss': 'Dismiss notification',
+        'toast.linkCopied': 'Link copied! You can now share it with your colleagues.',
+        'toast.copyFailed': 'We couldn\'t copy the link automatically. It\'s selected so you can copy it yourself.',
+        'mySpot.referralCount': 'Colleagues joined via your link',
+        'mySpot.positionsPerReferral': 'Places gained per referral',
+        'mySpot.updated': 'Updated {time}',
+        'mySpot.chartLabel': 'Queue position history: from #{from} on {fromDate} to #{to} on {toDate}',
+        'mySpot.stale': 'Showing your saved status from {time}. We\'ll refresh it when you\'re back online.',
+        'referral.boxTitle': '🚀 Move Up 10 Positions',
+        'referral.boxDesc': 'Invite 2 colleagues from your organization to jump ahead in line.',
+        'referral.copy': 'Copy',
+        'referral.qrSummary': 'Show QR code for in-person sharing',
+        'referral.linkLabel': 'Your unique referral link',
+        'referral.copyLabel': 'Copy referral link to clipboard',
+        'referral.qrLabel': 'QR code of your referral link',
+        'referral.qrUnavailable': 'QR code unavailable',
+        'referral.qrDownloadPng': 'Download PNG',
+        'referral.qrDownloadSvg': 'Download SVG',
+        'referral.qrPrint': 'Print Poster',
+        'referral.posterTitle': 'Health rumors move faster than medicine.',
+        'referral.posterSubtitle': 'Scan to join the PRITMA Health waitlist and help your institution get priority access.',
+        'referral.posterFooter': 'Clinical-grade intelligence against health misinformation in Nigeria',
+        
+        'share.whatsapp': '🚨 PRITMA Health - Combat Health Misinformation\n\n' +
+            'I just joined the waitlist for PRITMA, Nigeria\'s first clinical-grade platform to detect dangerous health rumors.\n\n' +
+            'Join me and move up the queue:\n{link}\n\n' +
+            'Together, we can stop life-threatening misinformation before it spreads.',
+        'share.telegram': '🚨 I just joined the PRITMA Health waitlist - clinical-grade protection against dangerous health rumors in Nigeria. Join me and move up the queue.',
+        'share.x': 'Health rumors move faster than medicine. I just joined the PRITMA Health waitlist to stop dangerous health misinformation in Nigeria. Join me: {link}',
+        'share.linkedin': 'Health misinformation is now a clinical risk. A single WhatsApp voice note can undo a year of care.\n\n' +
+            'I\'ve joined the waitlist for PRITMA Health, Nigeria\'s first clinical-grade platform for detecting and neutralising dangerous health rumors. ' +
+            'If your institution works on the frontlines, join us for priority access:\n{link}',
+        'share.emailSubject': 'Join me on the PRITMA Health waitlist',
+        'share.email': 'Hi,\n\nI just joined the waitlist for PRITMA Health, Nigeria\'s first clinical-grade platform to detect and neutralise dangerous health misinformation before it reaches patients.\n\n' +
+            'Institutions on the frontlines get priority access, and signing up through my link moves us both up the queue:\n{link}\n\n' +
+            'Together, we can stop life-threatening rumors before they spread.',
+        'share.sms': 'Join me on the PRITMA Health waitlist to fight dangerous health rumors: {link}',
+        'share.native': 'I just joined the PRITMA Health waitlist - clinical-grade protection against dangerous health rumors in Nigeria. Join me and move up the queue.',
+        'share.nativeButton': 'Share…',
+        'share.nativeLabel': 'Share using your device',
+        'share.whatsappLabel': 'Share on WhatsApp',
+        'share.telegramLabel': 'Share on Telegram',
+        'share.xLabel': 'Share on X',
+        'share.linkedinLabel': 'Share on LinkedIn',
+        'share.emailLabel': 'Share by email',
+        'share.smsLabel': 'Share by SMS',
+        
+        'consent.title': 'Your data, your choice',
+        'consent.desc': 'We use strictly necessary storage to run this page. With your permission we\'d also like to measure how the page is used and remember your preferences. We never store your email or referral code in analytics.',
+        'consent.privacyLink': 'Privacy Policy',
+        'consent.necessary': 'Necessary',
+        'consent.necessaryDesc': 'security, form submission and your consent record',
+        'consent.analytics': 'Analytics',
+        'consent.analyticsDesc': 'anonymised usage events that help us improve PRITMA',
+        'consent.functional': 'Functional',
+        'consent.functionalDesc': 'remembering your preferences on this device',
+        'consent.reject': 'Reject optional',
+        'consent.save': 'Save choices',
+        'consent.accept': 'Accept all',
+        
+        'footer.tagline': 'Combating health misinformation in Nigeria.',
+        'footer.navLabel': 'Footer navigation',
+        'footer.privacy': 'Privacy Policy',
+        'footer.terms': 'Terms of Service',
+        'footer.contact': 'Contact',
+        'footer.privacySettings': 'Privacy Settings',
+        'footer.reduceMotion': 'Reduce Motion'
+    };
+    
+    const loadedLocales = { en: { messages: MESSAGES_EN, myths: {} } };
+    let currentLocale = 'en';
+    
+    // Translate a message key, falling back to English, then to the key itself
+    function t(key, params = {}) {
+        const locale = loadedLocales[currentLocale] || loadedLocales.en;
+        const template = locale.messages[key] !== undefined ? locale.messages[key] : MESSAGES_EN[key];
+        
+        if (template === undefined) {
+            console.warn(`[PRITMA i18n] Missing message: ${key}`);
+            return key;
+        }
+        
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+    
+    // Explicit choice first, then the browser's language list, then English
+    function detectLocale() {
+        const { supported, storageKey } = CONFIG.i18n;
+        const stored = localStorage.getItem(storageKey) || sessionStorage.getItem(storageKey);
+        if (supported.includes(stored)) {
+            return stored;
+        }
+        
+        const preferences = navigator.languages || [navigator.language || ''];
+        for (const preference of preferences) {
+            const language = preference.toLowerCase().split('-')[0];
+            if (supported.includes(language)) {
+                return language;
+            }
+        }
+        
+        return CONFIG.i18n.defaultLocale;
+    }
+    
+    async function loadLocale(locale) {
+        if (!loadedLocales[locale]) {
+            const response = await fetch(`${CONFIG.i18n.path}${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`Could not load locale ${locale} (${response.status})`);
+            }
+            
+            const catalog = await response.json();
+            loadedLocales[locale] = { messages: catalog.messages || {}, myths: catalog.myths || {} };
+        }
+        return loadedLocales[locale];
+    }
+    
+    // Localised fields for a ticker myth, or {} to keep the English copy
+    function getLocalizedMyth(mythId) {
+        const locale = loadedLocales[currentLocale];
+        return (locale && locale.myths[mythId]) || {};
+    }
+    
+    // Static markup opts in with data-i18n="key" (text content) and
+    // data-i18n-attr="attribute:key;attribute:key"
+    function applyTranslations(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, t(key));
+                }
+            });
+        });
+    }
+    
+    // Switch language. Only an explicit choice (persist) is remembered, in
+    // localStorage with functional consent and for this tab otherwise.
+    async function setLocale(locale, { persist = false } = {}) {
+        if (!CONFIG.i18n.supported.includes(locale)) return;
+        
+        try {
+            await loadLocale(locale);
+        } catch (error) {
+            console.warn('[PRITMA i18n] Falling back to English:', error);
+            locale = CONFIG.i18n.defaultLocale;
+        }
+        
+        currentLocale = locale;
+        document.documentElement.lang = locale;
+        
+        if (persist) {
+            const storage = hasConsent('functional') ? localStorage : sessionStorage;
+            storage.setItem(CONFIG.i18n.storageKey, locale);
+        }
+        
+        const switcher = document.getElementById('localeSwitcher');
+        if (switcher) {
+            switcher.value = locale;
+        }
+        
+        applyTranslations();
+        populateTicker();
+        refreshSafetyNotice();
+        refreshDuplicateNotice();
+        renderDraftPrompt();
+        renderCountdown();
+        
+        return locale;
+    }
+    
+    function initI18n() {
+        const switcher = document.getElementById('localeSwitcher');
+        if (switcher) {
+            switcher.addEventListener('change', () => {
+                const previous = currentLocale;
+                setLocale(switcher.value, { persist: true }).then(locale => {
+                    trackEvent('locale_changed', { from: previous, to: locale });
+                });
+            });
+        }
+        
+        const locale = detectLocale();
+        if (locale !== CONFIG.i18n.defaultLocale) {
+            setLocale(locale);
+        }
+    }
+    
+    /* ==================== CONSENT & PRIVACY ==================== */
+    
+    // Consent is recorded per category with the policy version it was given
+    // under; bumping CONFIG.consent.version asks everyone again (NDPR).
+    let preConsentEvents = [];
+    // Hash salt held in memory until analytics consent allows storing it
+    let analyticsSalt = null;
+    
+    function getConsent() {
+        try {
+            const record = JSON.parse(localStorage.getItem(CONFIG.consent.storageKey) || 'null');
+            if (record && record.version === CONFIG.consent.version) {
+                return record;
+            }
+        } catch (error) {
+            // Unreadable record: treat as not given
+        }
+        return null;
+    }
+    
+    // 'necessary' is always granted; other categories need an explicit opt-in
+    function hasConsent(category) {
+        if (category === 'necessary') return true;
+        
+        const consent = getConsent();
+        return Boolean(consent && consent.categories[category]);
+    }
+    
+    function saveConsent(categories) {
+        const record = {
+            version: CONFIG.consent.version,
+            timestamp: new Date().toISOString(),
+            categories: {
+                necessary: true,
+                analytics: Boolean(categories.analytics),
+                functional: Boolean(categories.functional)
+            }
+        };
+        
+        localStorage.setItem(CONFIG.consent.storageKey, JSON.stringify(record));
+        applyConsent(record);
+        return record;
+    }
+    
+    // Release or discard what was held back while consent was pending
+    function applyConsent(record) {
+        if (record.categories.analytics) {
+            const held = preConsentEvents;
+            preConsentEvents = [];
+            if (analyticsSalt && !localStorage.getItem('pritma_analytics_salt')) {
+                localStorage.setItem('pritma_analytics_salt', analyticsSalt);
+            }
+            loadAnalyticsQueue().push(...held);
+            saveAnalyticsQueue();
+            
+            trackEvent('consent_updated', {
+                version: record.version,
+                analytics: true,
+                functional: record.categories.functional
+            });
+        } else {
+            preConsentEvents = [];
+            analyticsQueue = [];
+            localStorage.removeItem('pritma_analytics');
+            localStorage.removeItem('pritma_analytics_salt');
+            analyticsSalt = null;
+        }
+        
+        // Without functional consent, preferences and the form draft only
+        // last for this tab: move them off the device rather than lose them
+        if (!record.categories.functional) {
+            [CONFIG.i18n.storageKey, CONFIG.motion.storageKey, CONFIG.drafts.storageKey].forEach(key => {
+                const value = localStorage.getItem(key);
+                if (value !== null) {
+                    sessionStorage.setItem(key, value);
+                    localStorage.removeItem(key);
+                }
+            });
+        }
+    }
+    
+    // Per-browser salt so hashed identifiers can't be reversed by
+    // hashing every possible referral code. It is only persisted once
+    // analytics consent is given; until then it lives for this page view,
+    // and events held before consent keep matching hashes once it's saved.
+    function getHashSalt() {
+        const stored = localStorage.getItem('pritma_analytics_salt');
+        if (stored) return stored;
+        
+        if (!analyticsSalt) {
+            analyticsSalt = generateUniqueId();
+        }
+        if (hasConsent('analytics')) {
+            localStorage.setItem('pritma_analytics_salt', analyticsSalt);
+        }
+        return analyticsSalt;
+    }
+    
+    // FNV-1a, 32-bit: synchronous and good enough for pseudonymous ids
+    function hashIdentifier(value) {
+        const input = getHashSalt() + String(value);
+        let hash = 0x811c9dc5;
+        
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return `h_${(hash >>> 0).toString(36)}`;
+    }
+    
+    // Drop query string and fragment; both can carry referral codes or emails
+    function scrubUrl(value) {
+        try {
+            const url = new URL(value, window.location.origin);
+            return `${url.origin}${url.pathname}`;
+        } catch (error) {
+            return value.split(/[?#]/)[0];
+        }
+    }
+    
+    const EMAIL_PATTERN = /[^\s@<>"']+@[^\s@<>"']+\.[^\s@<>"']+/g;
+    
+    // Remove or pseudonymise PII before an event is stored or sent
+    function scrubEventData(value, key = '') {
+        if (Array.isArray(value)) {
+            return value.map(item => scrubEventData(item, key));
+        }
+        
+        if (value !== null && typeof value === 'object') {
+            const scrubbed = {};
+            Object.entries(value).forEach(([childKey, childValue]) => {
+                if (CONFIG.consent.dropKeys.includes(childKey)) return;
+                scrubbed[childKey] = scrubEventData(childValue, childKey);
+            });
+            return scrubbed;
+        }
+        
+        if (typeof value !== 'string' || !value) {
+            return value;
+        }
+        
+        if (CONFIG.consent.hashKeys.includes(key)) {
+            return hashIdentifier(value);
+        }
+        
+        if (/^https?:\/\//i.test(value)) {
+            return scrubUrl(value);
+        }
+        
+        return value.replace(EMAIL_PATTERN, '[email]');
+    }
+    
+    function showConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (!banner) return;
+        
+        const consent = getConsent();
+        banner.querySelector('#consentAnalytics').checked = Boolean(consent && consent.categories.analytics);
+        banner.querySelector('#consentFunctional').checked = Boolean(consent && consent.categories.functional);
+        
+        banner.hidden = false;
+    }
+    
+    function hideConsentBanner() {
+        const banner = document.getElementById('consentBanner');
+        if (banner) {
+            banner.hidden = true;
+        }
+    }
+    
+    window.openConsentSettings = function() {
+        showConsentBanner();
+        const firstOption = document.getElementById('consentAnalytics');
+        if (firstOption) {
+            firstOption.focus();
+        }
+    };
+    
+    function initConsent() {
+        const banner = document.getElementById('consentBanner');
+        if (!banner) return;
+        
+        banner.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent-action]');
+            if (!action) return;
+            
+            switch (action.dataset.consentAction) {
+                case 'accept':
+                    saveConsent({ analytics: true, functional: true });
+                    break;
+                case 'reject':
+                    saveConsent({ analytics: false, functional: false });
+                    break;
+                case 'save':
+                    saveConsent({
+                        analytics: banner.querySelector('#consentAnalytics').checked,
+                        functional: banner.querySelector('#consentFunctional').checked
+                    });
+                    break;
+            }
+            
+            hideConsentBanner();
+        });
+        
+        if (!getConsent()) {
+            showConsentBanner();
+        }
+    }
+    
+    /* ==================== ANALYTICS ==================== */
+    
+    // Events are kept in the pritma_analytics localStorage queue until the
+    // configured collector acknowledges them. Each event carries an id so the
+    // collector can drop copies re-sent after an unconfirmed delivery.
+    let analyticsQueue = null;
+    const analyticsInFlight = new Set();
+    
+    function loadAnalyticsQueue() {
+        if (!analyticsQueue) {
+            try {
+                analyticsQueue = JSON.parse(localStorage.getItem('pritma_analytics') || '[]');
+            } catch (error) {
+                analyticsQueue = [];
+            }
+        }
+        return analyticsQueue;
+    }
+    
+    function saveAnalyticsQueue() {
+        const queue = loadAnalyticsQueue();
+        
+        // Drop the oldest events once the store is full
+        if (queue.length > CONFIG.analytics.maxStoredEvents) {
+            queue.splice(0, queue.length - CONFIG.analytics.maxStoredEvents);
+        }
+        
+        try {
+            localStorage.setItem('pritma_analytics', JSON.stringify(queue));
+        } catch (error) {
+            console.warn('Could not persist analytics queue:', error);
+        }
+    }
+    
+    function acknowledgeEvents(events) {
+        const ids = new Set(events.map(event => event.id));
+        analyticsQueue = loadAnalyticsQueue().filter(event => !ids.has(event.id));
+        saveAnalyticsQueue();
+    }
+    
+    // Flatten event data into primitive params for gtag/Plausible
+    function flattenEventData(data) {
+        const params = {};
+        Object.entries(data || {}).forEach(([key, value]) => {
+            params[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+        return params;
+    }
+    
+    // Transport adapters. send() resolves true once the collector has
+    // acknowledged the batch; beacon() hands the batch to the browser on
+    // page hide and returns the events the browser accepted for delivery.
+    const ANALYTICS_TRANSPORTS = {
+        // Generic collector: POST { events: [...] } as JSON
+        http: {
+            async send(events) {
+                const response = await fetch(CONFIG.analytics.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ events }),
+                    keepalive: true
+                });
+                return response.ok;
+            },
+            beacon(events) {
+                const blob = new Blob([JSON.stringify({ events })], { type: 'application/json' });
+                return navigator.sendBeacon(CONFIG.analytics.endpoint, blob) ? events : [];
+            }
+        },
+        
+        // Google Analytics 4 via an already-loaded gtag.js
+        gtag: {
+            async send(events) {
+                return this.beacon(events).length === events.length;
+            },
+            beacon(events) {
+                if (typeof window.gtag !== 'function') return [];
+                
+                events.forEach(event => {
+                    window.gtag('event', event.event, {
+                        ...flattenEventData(event.data),
+                        event_id: event.id,
+                        transport_type: 'beacon'
+                    });
+                });
+                return events;
+            }
+        },
+        
+        // Plausible-style events API: one event per request
+        plausible: {
+            toPayload(event) {
+                return JSON.stringify({
+                    name: event.event,
+                    url: event.url,
+                    domain: CONFIG.analytics.plausible.domain,
+                    props: { ...flattenEventData(event.data), event_id: event.id }
+                });
+            },
+            async send(events) {
+                const responses = await Promise.all(events.map(event => fetch(CONFIG.analytics.plausible.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain' },
+                    body: this.toPayload(event),
+                    keepalive: true
+                })));
+                return responses.every(response => response.ok);
+            },
+            beacon(events) {
+                // Plausible doesn't dedupe on event_id, so only events the
+                // browser refused stay queued
+                return events.filter(event => navigator.sendBeacon(CONFIG.analytics.plausible.endpoint, this.toPayload(event)));
+            }
+        },
+        
+        // Local only: events stay in pritma_analytics
+        none: {
+            async send() {
+                return false;
+            },
+            beacon() {
+                return [];
+            }
+        }
+    };
+    
+    function getAnalyticsTransport() {
+        return ANALYTICS_TRANSPORTS[CONFIG.analytics.transport] || ANALYTICS_TRANSPORTS.none;
+    }
+    
+    function takeUnsentEvents(limit) {
+        return loadAnalyticsQueue()
+            .filter(event => !analyticsInFlight.has(event.id))
+            .slice(0, limit);
+    }
+    
+    // Send the next batch; failed batches stay queued for the next flush
+    async function flushAnalytics() {
+        if (!hasConsent('analytics')) return;
+        
+        const batch = takeUnsentEvents(CONFIG.analytics.batchSize);
+        if (!batch.length || !navigator.onLine) return;
+        
+        batch.forEach(event => analyticsInFlight.add(event.id));
+        
+        try {
+            if (await getAnalyticsTransport().send(batch)) {
+                acknowledgeEvents(batch);
+            }
+        } catch (error) {
+            // Collector unreachable; keep events for the next flush
+        } finally {
+            batch.forEach(event => analyticsInFlight.delete(event.id));
+        }
+    }
+    
+    // Last chance delivery when the page is hidden or unloaded
+    function beaconAnalytics() {
+        if (!hasConsent('analytics')) return;
+        
+        const events = takeUnsentEvents(Infinity);
+        if (!events.length || !navigator.sendBeacon) return;
+        
+        events.forEach(event => analyticsInFlight.add(event.id));
+        
+        try {
+            const delivered = getAnalyticsTransport().beacon(events);
+            if (delivered.length) {
+                acknowledgeEvents(delivered);
+            }
+        } finally {
+            // Refused events go out with the next flush
+            events.forEach(event => analyticsInFlight.delete(event.id));
+        }
+    }
+    
+    function initAnalytics() {
+        setInterval(flushAnalytics, CONFIG.analytics.flushIntervalMs);
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                beaconAnalytics();
+            }
+        });
+        window.addEventListener('pagehide', beaconAnalytics);
+        
+        // Deliver whatever a previous visit left behind
+        flushAnalytics();
+    }
+    
+    // Record an analytics event and queue it for the configured transport.
+    // Events are held in memory until consent is decided and dropped if refused.
+    function trackEvent(eventName, eventData) {
+        try {
+            const consent = getConsent();
+            if (consent && !consent.categories.analytics) return;
+            
+            const data = scrubEventData(eventData);
+            const event = {
+                id: generateUniqueId(),
+                event: eventName,
+                data: data, // Sent as JSON, never rendered as HTML
+                timestamp: new Date().toISOString(),
+                url: scrubUrl(window.location.href)
+            };
+            
+            if (CONFIG.performanceMetrics.logToConsole) {
+                console.log(`[PRITMA Analytics] ${eventName}:`, data);
+            }
+            
+            if (!consent) {
+                preConsentEvents.push(event);
+                preConsentEvents = preConsentEvents.slice(-CONFIG.analytics.maxStoredEvents);
+                return;
+            }
+            
+            loadAnalyticsQueue().push(event);
+            saveAnalyticsQueue();
+            
+            if (takeUnsentEvents(Infinity).length >= CONFIG.analytics.batchSize) {
+                flushAnalytics();
+            }
+        } catch (error) {
+            console.error('Analytics tracking error:', error);
+        }
+    }
+    
+    /* ==================== REFERRAL ATTRIBUTION ==================== */
+    
+    // Visitors arriving on /join?ref=CODE are credited to the colleague who
+    // invited them. First and last touch are both kept; the first touch is
+    // sent as referredBy. Attribution lapses after CONFIG.referral.attributionDays.
+    function getReferralAttribution() {
+        try {
+            const attribution = JSON.parse(localStorage.getItem(CONFIG.referral.storageKey) || 'null');
+            if (attribution && new Date(attribution.expiresAt).getTime() > Date.now()) {
+                return attribution;
+            }
+            localStorage.removeItem(CONFIG.referral.storageKey);
+        } catch (error) {
+            // Corrupt record: behave as if there was none
+        }
+        return null;
+    }
+    
+    function clearReferralAttribution() {
+        localStorage.removeItem(CONFIG.referral.storageKey);
+        
+        const invite = document.getElementById('referralInvite');
+        if (invite) {
+            invite.hidden = true;
+        }
+    }
+    
+    // Codes this browser was issued, so people can't refer themselves
+    function getOwnReferralCodes() {
+        try {
+            return JSON.parse(localStorage.getItem('pritma_submissions') || '[]')
+                .map(submission => submission.referralCode)
+                .filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    function recordReferralTouch(code) {
+        const now = new Date();
+        const existing = getReferralAttribution();
+        const touch = { code, at: now.toISOString() };
+        
+        const attribution = {
+            firstTouch: existing ? existing.firstTouch : touch,
+            lastTouch: touch,
+            expiresAt: new Date(now.getTime() + CONFIG.referral.attributionDays * 24 * 60 * 60 * 1000).toISOString()
+        };
+        
+        try {
+            localStorage.setItem(CONFIG.referral.storageKey, JSON.stringify(attribution));
+        } catch (error) {
+            console.warn('Could not store referral attribution:', error);
+        }
+        
+        return { attribution, isNew: !existing };
+    }
+    
+    // Payload fields for submitToBackend, or {} when there's no referral
+    function getReferralPayload() {
+        const attribution = getReferralAttribution();
+        if (!attribution) return {};
+        
+        return {
+            referredBy: attribution.firstTouch.code,
+            referralAttribution: attribution
+        };
+    }
+    
+    function showReferralInvite() {
+        const invite = document.getElementById('referralInvite');
+        if (invite) {
+            invite.hidden = false;
+        }
+    }
+    
+    function initReferralAttribution() {
+        const params = new URLSearchParams(window.location.search);
+        const ref = params.get('ref');
+        
+        if (ref !== null) {
+            const parsed = parseReferralCode(ref);
+            
+            if (!parsed.valid) {
+                trackEvent('referral_landing_invalid', { reason: parsed.error });
+            } else if (getOwnReferralCodes().includes(parsed.code)) {
+                trackEvent('referral_landing_self', {});
+            } else {
+                const { attribution, isNew } = recordReferralTouch(parsed.code);
+                trackEvent('referral_landing', {
+                    referredBy: parsed.code,
+                    format: parsed.format,
+                    touch: isNew ? 'first' : 'repeat',
+                    sameAsFirstTouch: attribution.firstTouch.code === parsed.code
+                });
+            }
+            
+            // Keep the code out of bookmarks and links copied from the address bar
+            params.delete('ref');
+            const query = params.toString();
+            window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+        
+        if (getReferralAttribution()) {
+            showReferralInvite();
+        }
+    }
+    
+    /* ==================== PAGE LOADER ==================== */
+    
+    function hidePageLoader() {
+        const loader = document.getElementById('pageLoader');
+        if (loader) {
+            setTimeout(() => {
+                loader.classList.add('hidden');
+                trackEvent('page_load_complete', {
+                    loadTime: performance.now()
+                });
+            }, 500);
+        }
+    }
+    
+    /* ==================== COUNTDOWN TIMER ==================== */
+    
+    // Counts down to the next milestone. Once one has passed the section
+    // says it's live and the hero CTA switches to its launched wording;
+    // after the last one only the live state is left. The timer stops while
+    // the tab is hidden.
+    let milestones = [];
+    let countdownTarget = null; // Next milestone, null once all have passed
+    let countdownElements = null;
+    let countdownInterval = null;
+    
+    // Drops entries without a usable id or date, soonest first
+    function normalizeMilestones(entries) {
+        return (Array.isArray(entries) ? entries : [])
+            .filter(entry => entry && /^[a-z0-9-]+$/.test(entry.id) && Number.isFinite(Date.parse(entry.date)))
+            .map(entry => ({ ...entry, time: Date.parse(entry.date) }))
+            .sort((a, b) => a.time - b.time);
+    }
+    
+    function getMilestoneName(milestone) {
+        const key = `milestone.${milestone.id}`;
+        return key in MESSAGES_EN ? t(key) : (milestone.name || milestone.id);
+    }
+    
+    function getMilestoneState(now = Date.now()) {
+        const reached = milestones.filter(milestone => milestone.time <= now);
+        return {
+            reached: reached[reached.length - 1] || null,
+            next: milestones.find(milestone => milestone.time > now) || null
+        };
+    }
+    
+    // The target in WAT, plus the visitor's own time when that differs
+    function formatMilestoneTime(time) {
+        const options = { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+        const date = new Date(time);
+        const wat = date.toLocaleString(currentLocale, { ...options, timeZone: CONFIG.milestones.timeZone });
+        
+        if (date.toLocaleString(currentLocale, options) === wat) {
+            return t('countdown.targetWat', { wat });
+        }
+        return t('countdown.target', { wat, local: date.toLocaleString(currentLocale, { ...options, timeZoneName: 'short' }) });
+    }
+    
+    function renderCountdown() {
+        if (!countdownElements) return;
+        
+        const { reached, next } = getMilestoneState();
+        const { title, status, timer, target } = countdownElements;
+        countdownTarget = next;
+        
+        title.textContent = next
+            ? t('countdown.title', { milestone: getMilestoneName(next) })
+            : t('countdown.complete');
+        
+        status.hidden = !reached;
+        status.textContent = reached ? t('countdown.live', { milestone: getMilestoneName(reached) }) : '';
+        
+        timer.hidden = !next;
+        target.hidden = !next;
+        target.textContent = next ? formatMilestoneTime(next.time) : '';
+        renderCalendarLinks(next);
+        
+        // Keys are swapped rather than text so locale changes keep the wording
+        const cta = document.getElementById('heroCta');
+        if (cta) {
+            const key = reached ? 'hero.ctaLive' : 'hero.ctaPrimary';
+            cta.dataset.i18n = key;
+            cta.dataset.i18nAttr = `aria-label:${key}Label`;
+            cta.textContent = t(key);
+            cta.setAttribute('aria-label', t(`${key}Label`));
+        }
+        
+        if (!next) {
+            stopCountdown();
+        }
+    }
+    
+    function updateCountdown() {
+        if (!countdownTarget) return;
+        
+        const distance = countdownTarget.time - Date.now();
+        
+        if (distance <= 0) {
+            trackEvent('milestone_reached', { milestone: countdownTarget.id });
+            renderCountdown();
+            updateCountdown();
+            return;
+        }
+        
+        const days = Math.floor(distance / (1000 * 60 * 60 * 24));
+        const hours = Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+        const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
+        const seconds = Math.floor((distance % (1000 * 60)) / 1000);
+        
+        // Update DOM with zero-padded values
+        countdownElements.days.textContent = String(days).padStart(2, '0');
+        countdownElements.hours.textContent = String(hours).padStart(2, '0');
+        countdownElements.minutes.textContent = String(minutes).padStart(2, '0');
+        countdownElements.seconds.textContent = String(seconds).padStart(2, '0');
+    }
+    
+    function startCountdown() {
+        if (countdownInterval || !countdownTarget || document.hidden) return;
+        
+        updateCountdown();
+        countdownInterval = setInterval(updateCountdown, 1000);
+    }
+    
+    function stopCountdown() {
+        clearInterval(countdownInterval);
+        countdownInterval = null;
+    }
+    
+    // The configured milestones stay in place if this fails
+    async function loadMilestones() {
+        try {
+            const data = await requestApi(CONFIG.milestones.endpoint);
+            const loaded = normalizeMilestones(data && data.milestones);
+            if (!loaded.length) {
+                throw new Error('Milestone list has no valid entries');
+            }
+            
+            milestones = loaded;
+            renderCountdown();
+            startCountdown();
+        } catch (error) {
+            console.warn('Could not load milestones, keeping configured ones:', error);
+        }
+    }
+    
+    function initCountdown() {
+        // Looked up once rather than on every tick
+        const elements = {
+            title: document.getElementById('countdown-title'),
+            status: document.getElementById('countdownStatus'),
+            timer: document.getElementById('countdownTimer'),
+            target: document.getElementById('countdownTarget'),
+            days: document.getElementById('days'),
+            hours: document.getElementById('hours'),
+            minutes: document.getElementById('minutes'),
+            seconds: document.getElementById('seconds')
+        };
+        if (Object.values(elements).some(element => !element)) return;
+        
+        countdownElements = elements;
+        milestones = normalizeMilestones(CONFIG.milestones.list);
+        renderCountdown();
+        startCountdown();
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                stopCountdown();
+            } else {
+                startCountdown();
+            }
+        });
+        
+        loadMilestones();
+    }
+    
+    /* ==================== CALENDAR EXPORT ==================== */
+    
+    // Add-to-calendar for the milestone the countdown is counting down to:
+    // an .ics file built here, plus Google Calendar and Outlook web links.
+    // Every .calendar-links block on the page (countdown, success modal)
+    // is kept pointing at the current milestone.
+    
+    function getCalendarEvent(milestone) {
+        const name = getMilestoneName(milestone);
+        return {
+            uid: `${milestone.id}@pritma.health`,
+            start: milestone.time,
+            end: milestone.time + CONFIG.calendar.durationMinutes * 60 * 1000,
+            summary: t('calendar.summary', { milestone: name }),
+            description: t('calendar.description', { milestone: name, url: CONFIG.calendar.siteUrl })
+        };
+    }
+    
+    // 20261201T080000Z
+    function formatIcsUtc(time) {
+        return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+    
+    // 20261201T090000, wall-clock time in timeZone (for DTSTART;TZID=...)
+    function formatIcsLocal(time, timeZone) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+            timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+        return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+    }
+    
+    // RFC 5545 TEXT escaping
+    function escapeIcsText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+    
+    // Lines longer than 75 octets continue on the next line after a space.
+    // Splits on whole characters so multi-byte UTF-8 stays intact.
+    function foldIcsLine(line) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let chunk = '';
+        let size = 0;
+        
+        for (const char of line) {
+            const charSize = encoder.encode(char).length;
+            const limit = chunks.length ? 74 : 75; // Continuations start with a space
+            if (size + charSize > limit) {
+                chunks.push(chunk);
+                chunk = '';
+                size = 0;
+            }
+            chunk += char;
+            size += charSize;
+        }
+        chunks.push(chunk);
+        
+        return chunks.join('\r\n ');
+    }
+    
+    // +0100 for timeZone at the given time
+    function formatUtcOffset(time, timeZone) {
+        const local = formatIcsLocal(time, timeZone);
+        const asUtc = Date.UTC(+local.slice(0, 4), +local.slice(4, 6) - 1, +local.slice(6, 8),
+            +local.slice(9, 11), +local.slice(11, 13), +local.slice(13, 15));
+        const minutes = Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+    }
+    
+    function buildIcsFile(event) {
+        const { timeZone } = CONFIG.milestones;
+        const offset = formatUtcOffset(event.start, timeZone);
+        
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//PRITMA Health//Launch Milestones//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            // Lagos has no daylight saving, so one STANDARD rule covers it
+            'BEGIN:VTIMEZONE',
+            `TZID:${timeZone}`,
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            'TZNAME:WAT',
+            'END:STANDARD',
+            'END:VTIMEZONE',
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatIcsUtc(Date.now())}`,
+            `DTSTART;TZID=${timeZone}:${formatIcsLocal(event.start, timeZone)}`,
+            `DTEND;TZID=${timeZone}:${formatIcsLocal(event.end, timeZone)}`,
+            `SUMMARY:${escapeIcsText(event.summary)}`,
+            `DESCRIPTION:${escapeIcsText(event.description)}`,
+            `URL:${CONFIG.calendar.siteUrl}`,
+            ...CONFIG.calendar.alarms.flatMap(trigger => [
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeIcsText(event.summary)}`,
+                `TRIGGER:${trigger}`,
+                'END:VALARM'
+            ]),
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ];
+        
+        return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    }
+    
+    function getGoogleCalendarUrl(event) {
+        const params = new URLSearchParams({
+            action: 'TEMPLATE',
+            text: event.summary,
+            dates: `${formatIcsUtc(event.start)}/${formatIcsUtc(event.end)}`,
+            details: event.description,
+            ctz: CONFIG.milestones.timeZone
+        });
+        return `https://calendar.google.com/calendar/render?${params}`;
+    }
+    
+    function getOutlookCalendarUrl(event) {
+        const params = new URLSearchParams({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: event.summary,
+            startdt: new Date(event.start).toISOString(),
+            enddt: new Date(event.end).toISOString(),
+            body: event.description
+        });
+        return `${CONFIG.calendar.outlookUrl}?${params}`;
+    }
+    
+    function renderCalendarLinks(milestone) {
+        const event = milestone && getCalendarEvent(milestone);
+        
+        document.querySelectorAll('.calendar-links').forEach(container => {
+            container.hidden = !event;
+            if (!event) return;
+            
+            container.querySelector('[data-calendar="google"]').href = getGoogleCalendarUrl(event);
+            container.querySelector('[data-calendar="outlook"]').href = getOutlookCalendarUrl(event);
+        });
+    }
+    
+    // source: where the link was used ('countdown' or 'modal')
+    window.downloadMilestoneIcs = function(source) {
+        if (!countdownTarget) return;
+        
+        downloadBlob(
+            new Blob([buildIcsFile(getCalendarEvent(countdownTarget))], { type: 'text/calendar;charset=utf-8' }),
+            `pritma-${countdownTarget.id}.ics`
+        );
+        trackEvent('calendar_export', { format: 'ics', milestone: countdownTarget.id, source });
+    };
+    
+    window.trackCalendarLink = function(format, source) {
+        trackEvent('calendar_export', { format, milestone: countdownTarget && countdownTarget.id, source });
+    };
+    
+    /* ==================== MYTH TICKER ==================== */
+    
+    // Bundled fallback for when the feed can't be loaded. It expires by
+    // date like feed entries do, so refresh firstSeen when updating it.
+    const MYTHS_DATA = [
+        {
+            id: "garlic-covid",
+            title: "garlic cures COVID",
+            tag: "Trending in Kano",
+            content: "A viral voice note claims that eating raw garlic daily can cure COVID-19 and prevent all respiratory infections.",
+            aiScore: "Standard AI models scored this as 'Generally Safe' - garlic has antimicrobial properties.",
+            clinicalFlag: "Our clinical experts flagged it as 'High Harm' - delays proper treatment, creates false security, may cause gastric issues.",
+            details: "This myth has been shared over 50,000 times in the last 72 hours. While garlic has some antimicrobial properties, it is not a cure or preventive measure for COVID-19. Patients delaying proper medical treatment based on this advice are at significant risk.",
+            region: "Kano",
+            language: "ha",
+            category: "infectious",
+            platform: "WhatsApp",
+            firstSeen: "2026-02-09",
+            shareCount: 50000,
+            severity: "high"
+        },
+        {
+            id: "salt-water-malaria",
+            title: "salt water prevents malaria",
+            tag: "Spreading in Lagos",
+            content: "WhatsApp messages suggest that drinking salt water can prevent malaria and kill parasites in the bloodstream.",
+            aiScore: "Standard AI models scored this as 'Possibly Helpful' - salt has some antiseptic properties.",
+            clinicalFlag: "Our clinical experts flagged it as 'Critical Risk' - causes severe dehydration, hypertension, kidney damage. Zero anti-malarial effect.",
+            details: "This dangerous myth has led to 3 documented hospitalizations this week. Salt water consumption for malaria prevention is medically baseless and can cause life-threatening electrolyte imbalances, especially in vulnerable populations.",
+            region: "Lagos",
+            language: "yo",
+            category: "infectious",
+            platform: "WhatsApp",
+            firstSeen: "2026-02-11",
+            shareCount: 32000,
+            severity: "critical"
+        },
+        {
+            id: "herbal-diabetes",
+            title: "herbs replace insulin",
+            tag: "Viral This Week",
+            content: "A trending TikTok claims that herbal mixtures can cure diabetes and eliminate the need for insulin.",
+            aiScore: "Standard AI models scored this as 'Traditional Medicine - Informational' without harm flags.",
+            clinicalFlag: "Our clinical experts flagged it as 'Life-Threatening' - stopping insulin causes diabetic ketoacidosis, organ failure, death.",
+            details: "Multiple patients have been admitted to emergency rooms after discontinuing insulin based on this advice. Diabetic patients require consistent medical management. Herbal supplements may complement but never replace insulin therapy.",
+            region: "Nationwide",
+            language: "en",
+            category: "chronic",
+            platform: "TikTok",
+            firstSeen: "2026-02-12",
+            shareCount: 18500,
+            severity: "critical"
+        },
+        {
+            id: "vaccine-microchips",
+            title: "vaccines contain microchips",
+            tag: "Facebook Post Alert",
+            content: "Popular health page suggests that vaccines contain microchips that can track your location and control your thoughts.",
+            aiScore: "Standard AI models scored this as 'Opinion - Low Confidence' without explicit warnings.",
+            clinicalFlag: "Our clinical experts flagged it as 'Public Health Crisis' - drives vaccine hesitancy, enables preventable disease outbreaks.",
+            details: "This conspiracy theory is contributing to declining vaccination rates in urban centers. Vaccines undergo rigorous testing and contain no tracking devices. Vaccine hesitancy has resulted in measles and polio resurgences in several communities.",
+            region: "Nationwide",
+            language: "en",
+            category: "vaccines",
+            platform: "Facebook",
+            firstSeen: "2026-02-10",
+            shareCount: 41000,
+            severity: "high"
+        },
+        {
+            id: "antibiotics-prevention",
+            title: "antibiotics prevent every infection",
+            tag: "Circulating in Abuja",
+            content: "Voice notes claim that taking antibiotics at the first sign of any illness prevents all infections from developing.",
+            aiScore: "Standard AI models scored this as 'Medical Advice - General' with standard antibiotic information.",
+            clinicalFlag: "Our clinical experts flagged it as 'Critical Harm' - drives antibiotic resistance, suppresses diagnosis, causes adverse reactions.",
+            details: "Inappropriate antibiotic use is accelerating antimicrobial resistance in Nigeria. Antibiotics are effective only against bacterial infections, not viral illnesses. Misuse contributes to treatment-resistant infections that claim thousands of lives annually.",
+            region: "Abuja",
+            language: "pcm",
+            category: "antimicrobial",
+            platform: "WhatsApp",
+            firstSeen: "2026-02-13",
+            shareCount: 12700,
+            severity: "high"
+        }
+    ];
+    
+    // Myths currently on the ticker: the bundled set until the feed loads
+    let tickerMyths = MYTHS_DATA.filter(myth => isMythCurrent(myth));
+    
+    const MYTH_CATEGORIES = ['infectious', 'chronic', 'maternal', 'vaccines', 'antimicrobial', 'first-aid', 'other'];
+    
+    // Feed entry schema (version 1). `language` is the language the claim
+    // circulates in; the copy itself is English and translated by id.
+    const MYTH_FEED_SCHEMA = {
+        id: value => typeof value === 'string' && /^[a-z0-9-]+$/.test(value),
+        region: value => typeof value === 'string' && value.trim() !== '',
+        language: value => typeof value === 'string' && /^[a-z]{2,3}$/.test(value),
+        platform: value => typeof value === 'string' && value.trim() !== '',
+        firstSeen: value => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+        shareCount: value => Number.isInteger(value) && value >= 0,
+        content: value => typeof value === 'string' && value.trim() !== '',
+        aiScore: value => typeof value === 'string' && value.trim() !== '',
+        clinicalFlag: value => typeof value === 'string' && value.trim() !== '',
+        severity: value => SEVERITY_LEVELS.includes(value),
+        details: value => typeof value === 'string' && value.trim() !== ''
+    };
+    
+    // Optional fields, checked only when present
+    const MYTH_FEED_OPTIONAL = {
+        tag: value => typeof value === 'string' && value.trim() !== '',
+        title: value => typeof value === 'string' && value.trim() !== '',
+        category: value => MYTH_CATEGORIES.includes(value),
+        expiresAt: value => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+    };
+    
+    // Names of the fields that fail the schema (empty when the entry is valid)
+    function validateMythEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return ['entry'];
+        }
+        
+        const missing = Object.keys(MYTH_FEED_SCHEMA).filter(field => !MYTH_FEED_SCHEMA[field](entry[field]));
+        const invalid = Object.keys(MYTH_FEED_OPTIONAL)
+            .filter(field => entry[field] !== undefined && !MYTH_FEED_OPTIONAL[field](entry[field]));
+        
+        return missing.concat(invalid);
+    }
+    
+    // Keep the valid entries of a feed; errors lists what was dropped and why
+    function validateMythFeed(feed) {
+        if (!feed || typeof feed !== 'object' || !Array.isArray(feed.myths)) {
+            return { myths: [], errors: ['Feed has no myths array'] };
+        }
+        
+        if (feed.version !== CONFIG.mythFeed.schemaVersion) {
+            return { myths: [], errors: [`Unsupported feed version ${feed.version}`] };
+        }
+        
+        const myths = [];
+        const errors = [];
+        const seen = new Set();
+        
+        feed.myths.forEach((entry, index) => {
+            const problems = validateMythEntry(entry);
+            if (!problems.length && seen.has(entry.id)) {
+                problems.push('id (duplicate)');
+            }
+            
+            if (problems.length) {
+                errors.push(`Myth ${index} (${(entry && entry.id) || 'no id'}): invalid ${problems.join(', ')}`);
+                return;
+            }
+            
+            seen.add(entry.id);
+            myths.push(entry);
+        });
+        
+        return { myths, errors };
+    }
+    
+    function isMythCurrent(myth, now = Date.now()) {
+        const expiresAt = myth.expiresAt
+            ? Date.parse(myth.expiresAt)
+            : Date.parse(myth.firstSeen) + CONFIG.mythFeed.maxAgeDays * 24 * 60 * 60 * 1000;
+        return expiresAt > now;
+    }
+    
+    function getCachedMythFeed() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(CONFIG.mythFeed.cacheKey) || 'null');
+            return cached && cached.version === CONFIG.mythFeed.schemaVersion ? cached : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    function saveMythFeedCache(cached) {
+        try {
+            localStorage.setItem(CONFIG.mythFeed.cacheKey, JSON.stringify(cached));
+        } catch (error) {
+            console.warn('Could not cache myth feed:', error);
+        }
+    }
+    
+    // Show the current myths from a list, or the current bundled ones if none
+    // are left. With neither, the observatory shows its empty state.
+    function setTickerMyths(myths, source) {
+        const current = myths.filter(myth => isMythCurrent(myth));
+        const bundled = MYTHS_DATA.filter(myth => isMythCurrent(myth));
+        tickerMyths = current.length ? current : bundled;
+        populateTicker();
+        
+        if (pendingMythLink) {
+            openMythFromHash();
+        }
+        
+        trackEvent('myth_feed_loaded', {
+            source: current.length ? source : (bundled.length ? 'bundled' : 'none'),
+            count: tickerMyths.length
+        });
+    }
+    
+    // Conditional GET; resolves with null when the cached copy is still valid
+    async function fetchMythFeed(etag) {
+        const response = await fetchWithTimeout(CONFIG.mythFeed.endpoint, {
+            headers: etag ? { 'If-None-Match': etag } : {}
+        });
+        
+        if (response.status === 304) {
+            return null;
+        }
+        if (!response.ok) {
+            throw await toWaitlistError(response);
+        }
+        
+        return {
+            etag: response.headers.get('ETag'),
+            feed: await response.json()
+        };
+    }
+    
+    // Stale-while-revalidate: render the cached feed straight away, then
+    // refresh it in the background once it is older than revalidateAfterMs.
+    // Anything that goes wrong leaves the cached or bundled myths in place.
+    async function loadMythFeed() {
+        const cached = getCachedMythFeed();
+        if (cached) {
+            setTickerMyths(cached.myths, 'cache');
+            
+            if (Date.now() - cached.fetchedAt < CONFIG.mythFeed.revalidateAfterMs) {
+                return;
+            }
+        }
+        
+        try {
+            const result = await fetchMythFeed(cached && cached.etag);
+            
+            if (!result) {
+                saveMythFeedCache({ ...cached, fetchedAt: Date.now() });
+                return;
+            }
+            
+            const { myths, errors } = validateMythFeed(result.feed);
+            if (errors.length) {
+                console.warn('[PRITMA Myth Feed] Dropped invalid entries:', errors);
+            }
+            if (!myths.length) {
+                throw new Error('Myth feed has no valid entries');
+            }
+            
+            saveMythFeedCache({
+                version: CONFIG.mythFeed.schemaVersion,
+                etag: result.etag,
+                fetchedAt: Date.now(),
+                myths
+            });
+            setTickerMyths(myths, 'network');
+        } catch (error) {
+            console.warn('Could not load myth feed, keeping current myths:', error);
+        }
+    }
+    
+    // Explorer mode swaps the looping ticker for a static, filterable grid
+    const observatoryState = {
+        explorer: false,
+        paused: false,
+        motionPaused: false, // Paused by reduced motion rather than the user
+        offset: 0, // Cards stepped through while paused
+        expanded: new Set(),
+        filters: { query: '', region: '', category: '', severity: '', platform: '' }
+    };
+    
+    const MYTH_FILTERS = ['region', 'category', 'severity', 'platform'];
+    const MYTH_LINK_PATTERN = /^#myth\/([a-z0-9-]+)$/;
+    
+    // Deep link that is waiting for its myth (e.g. one only in the remote feed)
+    let pendingMythLink = null;
+    
+    function localizeMyth(data) {
+        return { ...data, ...getLocalizedMyth(data.id) };
+    }
+    
+    function getFilteredMyths() {
+        const { query, region, category, severity, platform } = observatoryState.filters;
+        const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+        
+        return tickerMyths.filter(data => {
+            if (region && data.region !== region) return false;
+            if (category && (data.category || 'other') !== category) return false;
+            if (severity && data.severity !== severity) return false;
+            if (platform && data.platform !== platform) return false;
+            if (!terms.length) return true;
+            
+            // Search the translated copy and the English original
+            const myth = localizeMyth(data);
+            const text = normalizeSearchText([
+                myth.tag, myth.content, myth.details, myth.clinicalFlag, myth.region, myth.platform,
+                data.tag, data.content, data.details
+            ].join(' '));
+            return terms.every(term => text.includes(term));
+        });
+    }
+    
+    // Option values for one filter, from the myths currently loaded
+    function getFilterOptions(filter) {
+        const values = new Set(tickerMyths.map(myth => (filter === 'category' ? myth.category || 'other' : myth[filter])));
+        
+        if (filter === 'severity') {
+            return SEVERITY_LEVELS.filter(severity => values.has(severity)).reverse();
+        }
+        if (filter === 'category') {
+            return MYTH_CATEGORIES.filter(category => values.has(category));
+        }
+        return [...values].sort();
+    }
+    
+    function getFilterLabel(filter, value) {
+        if (filter === 'severity' || filter === 'category') {
+            return t(`${filter}.${value}`);
+        }
+        return value;
+    }
+    
+    function populateMythFilters() {
+        MYTH_FILTERS.forEach(filter => {
+            const select = document.querySelector(`[data-myth-filter="${filter}"]`);
+            if (!select) return;
+            
+            const options = getFilterOptions(filter);
+            if (!options.includes(observatoryState.filters[filter])) {
+                observatoryState.filters[filter] = '';
+            }
+            
+            select.innerHTML = `<option value="">${sanitizeInput(t('explorer.all'))}</option>` +
+                options.map(value => `<option value="${sanitizeInput(value)}">${sanitizeInput(getFilterLabel(filter, value))}</option>`).join('');
+            select.value = observatoryState.filters[filter];
+        });
+    }
+    
+    function updateObservatoryControls(shownCount) {
+        const { explorer, paused } = observatoryState;
+        
+        const toggle = document.getElementById('mythExplorerToggle');
+        if (toggle) {
+            toggle.textContent = t(explorer ? 'explorer.toggleBack' : 'explorer.toggle');
+            toggle.setAttribute('aria-pressed', String(explorer));
+        }
+        
+        const filters = document.getElementById('mythFilters');
+        if (filters) {
+            filters.hidden = !explorer;
+        }
+        
+        const tickerControls = document.getElementById('tickerControls');
+        if (tickerControls) {
+            tickerControls.hidden = explorer;
+        }
+        
+        const pauseButton = document.getElementById('tickerPauseBtn');
+        if (pauseButton) {
+            pauseButton.textContent = t(paused ? 'ticker.play' : 'ticker.pause');
+            pauseButton.setAttribute('aria-pressed', String(paused));
+        }
+        
+        const results = document.getElementById('mythFilterResults');
+        if (results) {
+            results.textContent = explorer
+                ? t('explorer.results', { count: shownCount, total: tickerMyths.length })
+                : '';
+        }
+    }
+    
+    function renderMythCard(data, { duplicate = false } = {}) {
+        // Locale files translate by myth id; untranslated fields stay English
+        const myth = localizeMyth(data);
+        const tag = myth.tag || t('ticker.tagRegion', { region: myth.region });
+        const expanded = observatoryState.expanded.has(myth.id) ? ' expanded' : '';
+        
+        // The ticker's second copy exists only for the seamless loop
+        const a11y = duplicate
+            ? 'aria-hidden="true" tabindex="-1"'
+            : `tabindex="0" aria-label="${sanitizeInput(t('ticker.cardLabel', { tag }))}"`;
+        
+        return `
+            <article class="myth-card${expanded}" 
+                     data-myth-id="${sanitizeInput(myth.id)}"
+                     data-severity="${sanitizeInput(myth.severity)}"
+                     role="article"
+                     ${a11y}>
+                <div class="myth-tag">${sanitizeInput(tag)}</div>
+                <div class="myth-meta">${sanitizeInput(t('ticker.meta', {
+                    platform: myth.platform,
+                    shares: myth.shareCount.toLocaleString(currentLocale)
+                }))}</div>
+                <div class="myth-content">"${sanitizeInput(myth.content)}"</div>
+                <div class="myth-comparison">
+                    <div class="comparison-item ai-score">
+                        <strong>${sanitizeInput(t('ticker.aiScore'))}</strong> ${sanitizeInput(myth.aiScore)}
+                    </div>
+                    <div class="comparison-item clinical-flag">
+                        <strong>${sanitizeInput(t('ticker.clinicalFlag'))}</strong> ${sanitizeInput(myth.clinicalFlag)}
+                    </div>
+                </div>
+                <div class="myth-details">
+                    <p>${sanitizeInput(myth.details)}</p>
+                    <a class="myth-permalink" href="#myth/${sanitizeInput(myth.id)}"${duplicate ? ' tabindex="-1"' : ''}>${sanitizeInput(t('ticker.permalink'))}</a>
+                </div>
+            </article>
+        `;
+    }
+    
+    function populateTicker() {
+        const wrapper = document.getElementById('tickerWrapper');
+        if (!wrapper) return;
+        
+        populateMythFilters();
+        
+        const { explorer } = observatoryState;
+        const myths = explorer ? getFilteredMyths() : tickerMyths;
+        const mythCards = myths.map(myth => renderMythCard(myth)).join('');
+        
+        wrapper.classList.toggle('empty', !tickerMyths.length);
+        
+        if (!tickerMyths.length) {
+            wrapper.innerHTML = `<p class="observatory-empty">${sanitizeInput(t('observatory.empty'))}</p>`;
+        } else if (explorer) {
+            wrapper.innerHTML = mythCards ||
+                `<p class="observatory-empty">${sanitizeInput(t('explorer.empty'))}</p>`;
+        } else {
+            // Duplicate for seamless loop
+            wrapper.innerHTML = mythCards + myths.map(myth => renderMythCard(myth, { duplicate: true })).join('');
+            
+            // Steps are one card wide, so they don't carry over to a new set
+            observatoryState.offset = 0;
+            wrapper.style.animationDelay = '';
+        }
+        
+        const note = document.querySelector('.observatory-note');
+        if (note) {
+            note.textContent = t('observatory.note', { count: tickerMyths.length });
+            note.hidden = !tickerMyths.length;
+        }
+        
+        updateObservatoryControls(myths.length);
+        
+        // Add click/keyboard event listeners
+        wrapper.querySelectorAll('.myth-card').forEach(card => {
+            card.addEventListener('click', (e) => {
+                if (e.target.closest('.myth-permalink')) return;
+                toggleMythDetails(card);
+            });
+            card.addEventListener('keypress', (e) => {
+                if (e.target.closest('.myth-permalink')) return;
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggleMythDetails(card);
+                }
+            });
+        });
+    }
+    
+    function toggleMythDetails(card) {
+        const wasExpanded = card.classList.contains('expanded');
+        card.classList.toggle('expanded');
+        
+        // Remembered so re-renders (filters, locale, feed) keep it open
+        const mythId = card.dataset.mythId;
+        if (wasExpanded) {
+            observatoryState.expanded.delete(mythId);
+        } else {
+            observatoryState.expanded.add(mythId);
+        }
+        
+        // Track interaction
+        const myth = tickerMyths.find(entry => entry.id === mythId);
+        if (!wasExpanded && myth) {
+            // Always report the English copy so events compare across locales
+            trackEvent('myth_expanded', {
+                mythId: mythId,
+                mythTag: myth.tag || myth.region,
+                severity: myth.severity
+            });
+        }
+    }
+    
+    function setTickerPaused(paused) {
+        observatoryState.paused = paused;
+        
+        const wrapper = document.getElementById('tickerWrapper');
+        if (wrapper) {
+            wrapper.classList.toggle('paused', paused);
+        }
+        
+        updateObservatoryControls();
+    }
+    
+    function setExplorerMode(enabled) {
+        observatoryState.explorer = enabled;
+        
+        const section = document.getElementById('observatory');
+        if (section) {
+            section.classList.toggle('explorer-mode', enabled);
+        }
+        
+        populateTicker();
+    }
+    
+    window.toggleMythExplorer = function() {
+        setExplorerMode(!observatoryState.explorer);
+        trackEvent('myth_explorer_toggled', { enabled: observatoryState.explorer });
+    };
+    
+    window.toggleTickerPause = function() {
+        observatoryState.motionPaused = false;
+        setTickerPaused(!observatoryState.paused);
+    };
+    
+    // Move the paused ticker one card. Shifting the animation delay by one
+    // card's share of the loop keeps the CSS animation in charge of motion.
+    window.stepTicker = function(direction) {
+        const wrapper = document.getElementById('tickerWrapper');
+        const count = tickerMyths.length;
+        if (!wrapper || observatoryState.explorer || !count) return;
+        
+        observatoryState.motionPaused = false;
+        setTickerPaused(true);
+        
+        const duration = parseFloat(getComputedStyle(wrapper).animationDuration) || 40;
+        observatoryState.offset = (observatoryState.offset + direction + count) % count;
+        wrapper.style.animationDelay = `${-(observatoryState.offset * duration) / count}s`;
+    };
+    
+    window.clearMythFilters = function() {
+        Object.keys(observatoryState.filters).forEach(filter => {
+            observatoryState.filters[filter] = '';
+        });
+        
+        const search = document.getElementById('mythSearch');
+        if (search) {
+            search.value = '';
+        }
+        
+        populateTicker();
+    };
+    
+    // #myth/<id> opens the explorer with that myth expanded
+    function openMythFromHash() {
+        const match = window.location.hash.match(MYTH_LINK_PATTERN);
+        if (!match) return;
+        
+        const mythId = match[1];
+        if (!tickerMyths.some(myth => myth.id === mythId)) {
+            // It may still arrive with the remote feed
+            pendingMythLink = mythId;
+            return;
+        }
+        pendingMythLink = null;
+        
+        window.clearMythFilters();
+        setExplorerMode(true);
+        
+        const card = document.querySelector(`#tickerWrapper .myth-card[data-myth-id="${mythId}"]`);
+        if (!card) return;
+        
+        if (!card.classList.contains('expanded')) {
+            toggleMythDetails(card);
+        }
+        card.scrollIntoView({ block: 'center' });
+        card.focus({ preventScroll: true });
+        
+        trackEvent('myth_permalink_opened', { mythId });
+    }
+    
+    function initObservatory() {
+        const search = document.getElementById('mythSearch');
+        if (search) {
+            const applySearch = debounce(() => {
+                observatoryState.filters.query = search.value;
+                populateTicker();
+            }, 200);
+            search.addEventListener('input', applySearch);
+        }
+        
+        MYTH_FILTERS.forEach(filter => {
+            const select = document.querySelector(`[data-myth-filter="${filter}"]`);
+            if (!select) return;
+            
+            select.addEventListener('change', () => {
+                observatoryState.filters[filter] = select.value;
+                populateTicker();
+                trackEvent('myth_filter_changed', { filter, value: select.value });
+            });
+        });
+        
+        window.addEventListener('hashchange', openMythFromHash);
+        openMythFromHash();
+    }
+    
+    /* ==================== MOTION & DATA SAVER ==================== */
+    
+    // Reduced mode turns off the scan overlay and ticker auto-scroll and shows
+    // sections without the reveal animation. It follows prefers-reduced-motion
+    // and the browser's data saver until the user picks a mode with the
+    // footer toggle; that choice ('reduced' or 'full') is stored like the
+    // locale.
+    const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    let reducedMotion = false;
+    
+    function getMotionPreference() {
+        const { storageKey } = CONFIG.motion;
+        const stored = localStorage.getItem(storageKey) || sessionStorage.getItem(storageKey);
+        return ['reduced', 'full'].includes(stored) ? stored : null;
+    }
+    
+    function prefersReducedMotion() {
+        const preference = getMotionPreference();
+        if (preference) {
+            return preference === 'reduced';
+        }
+        
+        const connection = navigator.connection;
+        return Boolean((reducedMotionQuery && reducedMotionQuery.matches) || (connection && connection.saveData));
+    }
+    
+    function applyMotionMode() {
+        const reduced = prefersReducedMotion();
+        const changed = reduced !== reducedMotion;
+        reducedMotion = reduced;
+        
+        // .full-motion also overrides the prefers-reduced-motion styles
+        document.documentElement.classList.toggle('reduced-motion', reduced);
+        document.documentElement.classList.toggle('full-motion', !reduced);
+        
+        const toggle = document.getElementById('motionToggle');
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(reduced));
+        }
+        
+        if (reduced) {
+            const overlay = document.getElementById('scanOverlay');
+            if (overlay) {
+                overlay.classList.remove('active');
+            }
+            if (!observatoryState.paused) {
+                observatoryState.motionPaused = true;
+                setTickerPaused(true);
+            }
+            revealAllSections();
+        } else if (changed && observatoryState.motionPaused) {
+            // Leave a pause the user chose alone
+            observatoryState.motionPaused = false;
+            setTickerPaused(false);
+        }
+    }
+    
+    window.toggleReducedMotion = function() {
+        const mode = reducedMotion ? 'full' : 'reduced';
+        const storage = hasConsent('functional') ? localStorage : sessionStorage;
+        storage.setItem(CONFIG.motion.storageKey, mode);
+        
+        applyMotionMode();
+        trackEvent('motion_mode_changed', { mode });
+    };
+    
+    function initMotionMode() {
+        applyMotionMode();
+        
+        // Follow system changes while the user hasn't picked a mode
+        if (reducedMotionQuery && reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', applyMotionMode);
+        }
+        if (navigator.connection && navigator.connection.addEventListener) {
+            navigator.connection.addEventListener('change', applyMotionMode);
+        }
+    }
+    
+    /* ==================== SCROLL ANIMATIONS ==================== */
+    
+    let scrollTimeout;
+    function handleScroll() {
+        const overlay = document.getElementById('scanOverlay');
+        if (!overlay || reducedMotion) return;
+        
+        overlay.classList.add('active');
+        
+        clearTimeout(scrollTimeout);
+        scrollTimeout = setTimeout(() => {
+            overlay.classList.remove('active');
+        }, 2000);
+    }
+    
+    // Debounced scroll handler for performance
+    const debouncedScroll = debounce(handleScroll, 100);
+    
+    function initScrollAnimations() {
+        window.addEventListener('scroll', debouncedScroll, { passive: true });
+        
+        // Header scroll effect
+        const header = document.querySelector('header');
+        window.addEventListener('scroll', () => {
+            if (window.scrollY > 50) {
+                header.classList.add('scrolled');
+            } else {
+                header.classList.remove('scrolled');
+            }
+        }, { passive: true });
+    }
+    
+    /* ==================== SMOOTH SCROLL ==================== */
+    
+    window.scrollToSection = function(sectionId) {
+        const element = document.getElementById(sectionId);
+        if (!element) return;
+        
+        const headerHeight = document.querySelector('header').offsetHeight;
+        const targetPosition = element.offsetTop - headerHeight - 20;
+        
+        window.scrollTo({
+            top: targetPosition,
+            behavior: reducedMotion ? 'auto' : 'smooth'
+        });
+        
+        trackEvent('cta_clicked', {
+            target: sectionId,
+            source: 'hero'
+        });
+    };
+    
+    /* ==================== EMAIL DOMAINS ==================== */
+    
+    // Sorts an address into consumer, disposable, institutional or unknown
+    // (CONFIG.emailDomains) and works out the organization type it implies.
+    function matchesDomain(domain, listed) {
+        return domain === listed || domain.endsWith(`.${listed}`);
+    }
+    
+    // Optimal string alignment distance: edits plus adjacent swaps, so
+    // "gmial.com" is one step from "gmail.com"
+    function getEditDistance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+        
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+    
+    // Closest well-known domain within reach of a typo, or null. Short
+    // domains only get one edit so unrelated ones aren't suggested.
+    function suggestEmailDomain(domain) {
+        const { consumer, institutions, typoMaxDistance } = CONFIG.emailDomains;
+        const maxDistance = domain.length > 8 ? typoMaxDistance : 1;
+        let best = null;
+        
+        consumer.concat(institutions.map(institution => institution.domain)).forEach(known => {
+            const distance = getEditDistance(domain, known);
+            if (distance > 0 && distance <= maxDistance && (!best || distance < best.distance)) {
+                best = { domain: known, distance };
+            }
+        });
+        return best && best.domain;
+    }
+    
+    function classifyEmailDomain(domain) {
+        const { consumer, disposable, institutions, suffixes } = CONFIG.emailDomains;
+        domain = (domain || '').trim().toLowerCase();
+        const profile = { domain, type: 'unknown', orgType: null, institution: null, suggestion: null };
+        if (!domain) return profile;
+        
+        const institution = institutions.find(entry => matchesDomain(domain, entry.domain));
+        const suffix = suffixes.find(entry => matchesDomain(domain, entry.suffix));
+        
+        if (consumer.some(listed => matchesDomain(domain, listed))) {
+            profile.type = 'consumer';
+        } else if (disposable.some(listed => matchesDomain(domain, listed))) {
+            profile.type = 'disposable';
+        } else if (institution) {
+            Object.assign(profile, { type: 'institutional', orgType: institution.orgType, institution: institution.name });
+        } else if (suffix) {
+            Object.assign(profile, { type: 'institutional', orgType: suffix.orgType });
+        } else {
+            profile.suggestion = suggestEmailDomain(domain);
+        }
+        return profile;
+    }
+    
+    function classifyEmail(email) {
+        return classifyEmailDomain(email.trim().toLowerCase().split('@')[1]);
+    }
+    
+    // orgType we last filled in, so a changed email can update our guess
+    // without overriding a choice the user made
+    let inferredOrgType = null;
+    
+    function applyInferredOrgType(profile) {
+        const select = document.getElementById('orgType');
+        if (!select || !profile.orgType) return;
+        if (select.value && select.value !== inferredOrgType) return;
+        if (select.value === profile.orgType) return;
+        
+        select.value = profile.orgType;
+        inferredOrgType = profile.orgType;
+        select.dispatchEvent(new Event('change'));
+        clearError('orgTypeGroup');
+        
+        const facilityName = document.getElementById('facilityName');
+        if (facilityName && profile.institution && profile.orgType === 'hospital' && !facilityName.value) {
+            facilityName.value = profile.institution;
+        }
+        
+        trackEvent('org_type_inferred', {
+            orgType: profile.orgType,
+            source: profile.institution ? 'institution' : 'suffix'
+        });
+    }
+    
+    function renderEmailNotice(email, profile) {
+        const notice = document.getElementById('emailNotice');
+        if (!notice) return;
+        
+        notice.replaceChildren();
+        notice.className = 'email-notice';
+        
+        if (profile.suggestion) {
+            const suggested = `${email.trim().split('@')[0]}@${profile.suggestion}`;
+            const accept = document.createElement('button');
+            accept.type = 'button';
+            accept.className = 'email-notice-action';
+            accept.textContent = suggested;
+            accept.addEventListener('click', () => {
+                const input = document.getElementById('email');
+                input.value = suggested;
+                trackEvent('email_suggestion_accepted', { domain: profile.suggestion });
+                updateEmailInsights(suggested);
+                input.focus();
+            });
+            
+            const [before, after] = t('email.suggestion').split('{email}');
+            notice.append(before, accept, after || '');
+            notice.classList.add('suggestion');
+        } else if (profile.type === 'consumer') {
+            notice.textContent = t('email.consumerWarning');
+            notice.classList.add('consumer');
+        } else if (profile.type === 'institutional') {
+            notice.textContent = profile.institution
+                ? t('email.institutionKnown', { name: profile.institution })
+                : t('email.institutional');
+            notice.classList.add('institutional');
+        }
+        
+        notice.hidden = !notice.textContent;
+    }
+    
+    // Notice, suggestion and orgType guess for the address as entered
+    function updateEmailInsights(email) {
+        const valid = CONFIG.validation.email.pattern.test(email.trim());
+        const profile = valid ? classifyEmail(email) : classifyEmailDomain('');
+        
+        renderEmailNotice(email, profile);
+        applyInferredOrgType(profile);
+        
+        if (profile.suggestion) {
+            trackEvent('email_typo_suggested', { domain: profile.domain, suggestion: profile.suggestion });
+        }
+    }
+    
+    /* ==================== FORM VALIDATION ==================== */
+    
+    function showError(groupId, message) {
+        const group = document.getElementById(groupId);
+        if (!group) return;
+        
+        group.classList.add('error');
+        const errorElement = group.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    }
+    
+    function clearError(groupId) {
+        const group = document.getElementById(groupId);
+        if (!group) return;
+        
+        group.classList.remove('error');
+        const errorElement = group.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.textContent = '';
+        }
+    }
+    
+    // The waitlist form as data. Each field binds to existing markup:
+    // #<name> inside #<name>Group, unless `id`/`group` say otherwise.
+    // - rules run in order and the first failure is shown. Messages are
+    //   catalog keys and get the rule's value as a placeholder ({minLength})
+    // - validators are extra checks, sync or async, returning a message key
+    //   or null
+    // - visibleWhen(values) hides the group, and the field is then neither
+    //   validated nor sent
+    const WAITLIST_FORM_SCHEMA = {
+        email: {
+            type: 'email',
+            rules: [
+                { rule: 'required', message: 'validation.email.required' },
+                { rule: 'minLength', value: CONFIG.validation.email.minLength, message: 'validation.email.tooShort' },
+                { rule: 'maxLength', value: CONFIG.validation.email.maxLength, message: 'validation.email.tooLong' },
+                { rule: 'pattern', value: CONFIG.validation.email.pattern, message: 'validation.email.invalid' }
+            ],
+            validators: [checkEmailDomain]
+        },
+        orgType: {
+            type: 'select',
+            rules: [
+                { rule: 'required', message: 'validation.orgType.required' }
+            ]
+        },
+        facilityName: {
+            type: 'text',
+            visibleWhen: values => values.orgType === 'hospital',
+            rules: [
+                { rule: 'required', message: 'validation.facilityName.required' },
+                { rule: 'maxLength', value: CONFIG.validation.facilityName.maxLength, message: 'validation.facilityName.tooLong' }
+            ]
+        },
+        myth: {
+            type: 'textarea',
+            rules: [
+                { rule: 'required', message: 'validation.myth.required' },
+                { rule: 'minLength', value: CONFIG.validation.myth.minLength, message: 'validation.myth.tooShort' },
+                { rule: 'maxLength', value: CONFIG.validation.myth.maxLength, message: 'validation.myth.tooLong' }
+            ]
+        }
+    };
+    
+    const FIELD_NORMALIZERS = {
+        email: value => value.trim().toLowerCase(),
+        text: value => value.trim(),
+        textarea: value => value.trim(),
+        select: value => value
+    };
+    
+    // Empty optional values skip every rule but `required`
+    const FORM_RULES = {
+        required: value => value !== '',
+        minLength: (value, length) => value.length >= length,
+        maxLength: (value, length) => value.length <= length,
+        pattern: (value, pattern) => pattern.test(value)
+    };
+    
+    // Disposable inboxes fail; personal domains are allowed but flagged
+    // for analytics
+    function checkEmailDomain(email) {
+        const profile = classifyEmail(email);
+        if (profile.type === 'disposable') {
+            return 'validation.email.disposable';
+        }
+        if (profile.type === 'consumer') {
+            trackEvent('personal_email_used', { domain: profile.domain });
+        }
+        return null;
+    }
+    
+    function getFieldElement(name) {
+        return document.getElementById(WAITLIST_FORM_SCHEMA[name].id || name);
+    }
+    
+    function getFieldGroupId(name) {
+        const field = WAITLIST_FORM_SCHEMA[name];
+        return (field && field.group) || `${name}Group`;
+    }
+    
+    // Normalized values of every field, hidden ones included, so visibleWhen
+    // can look at any of them
+    function getFormValues() {
+        const values = {};
+        Object.entries(WAITLIST_FORM_SCHEMA).forEach(([name, field]) => {
+            const element = getFieldElement(name);
+            values[name] = element ? FIELD_NORMALIZERS[field.type](element.value) : '';
+        });
+        return values;
+    }
+    
+    function isFieldVisible(name, values) {
+        const { visibleWhen } = WAITLIST_FORM_SCHEMA[name];
+        return !visibleWhen || Boolean(visibleWhen(values));
+    }
+    
+    function updateFieldVisibility(values = getFormValues()) {
+        Object.keys(WAITLIST_FORM_SCHEMA).forEach(name => {
+            const group = document.getElementById(getFieldGroupId(name));
+            const element = getFieldElement(name);
+            if (!group || !element) return;
+            
+            const visible = isFieldVisible(name, values);
+            group.hidden = !visible;
+            element.disabled = !visible;
+            if (!visible) {
+                clearError(getFieldGroupId(name));
+            }
+        });
+    }
+    
+    // { rule, message } for the first failing check, or null
+    async function validateField(name, values) {
+        const field = WAITLIST_FORM_SCHEMA[name];
+        const value = values[name];
+        
+        for (const { rule, value: ruleValue, message } of field.rules || []) {
+            if (value === '' && rule !== 'required') continue;
+            if (!FORM_RULES[rule](value, ruleValue)) {
+                return { rule, message: t(message, { [rule]: ruleValue }) };
+            }
+        }
+        
+        if (value === '') return null;
+        
+        for (const validator of field.validators || []) {
+            const message = await validator(value, values);
+            if (message) {
+                return { rule: validator.name || 'custom', message: t(message) };
+            }
+        }
+        return null;
+    }
+    
+    // Validates every visible field; errors is keyed by field name
+    async function validateForm(values = getFormValues()) {
+        const names = Object.keys(WAITLIST_FORM_SCHEMA).filter(name => isFieldVisible(name, values));
+        const results = await Promise.all(names.map(name => validateField(name, values)));
+        
+        const errors = {};
+        names.forEach((name, index) => {
+            if (results[index]) {
+                errors[name] = results[index];
+            }
+        });
+        return { valid: !Object.keys(errors).length, errors };
+    }
+    
+    function showFieldErrors(errors) {
+        Object.keys(WAITLIST_FORM_SCHEMA).forEach(name => {
+            if (errors[name]) {
+                showError(getFieldGroupId(name), errors[name].message);
+            } else {
+                clearError(getFieldGroupId(name));
+            }
+        });
+    }
+    
+    // Sanitized payload of the visible fields
+    function buildFormPayload(values = getFormValues()) {
+        const payload = {};
+        Object.keys(WAITLIST_FORM_SCHEMA).forEach(name => {
+            if (isFieldVisible(name, values)) {
+                payload[name] = sanitizeInput(values[name]);
+            }
+        });
+        return payload;
+    }
+    
+    // Validate a field when the user leaves it (only once something has been
+    // entered) and re-evaluate visibility whenever a value changes
+    function bindFormFields() {
+        Object.keys(WAITLIST_FORM_SCHEMA).forEach(name => {
+            const element = getFieldElement(name);
+            if (!element) return;
+            
+            element.addEventListener('blur', async () => {
+                const rawValue = element.value;
+                if (!rawValue) {
+                    clearError(getFieldGroupId(name));
+                    return;
+                }
+                
+                const error = await validateField(name, getFormValues());
+                if (element.value !== rawValue) return; // edited while validating
+                
+                if (error) {
+                    showError(getFieldGroupId(name), error.message);
+                } else {
+                    clearError(getFieldGroupId(name));
+                }
+            });
+            
+            element.addEventListener('change', () => updateFieldVisibility());
+        });
+        
+        updateFieldVisibility();
+    }
+    
+    function validateHoneypot(honeypotValue) {
+        // If honeypot is filled, it's likely a bot
+        return honeypotValue === '';
+    }
+    
+    /* ==================== BOT PROTECTION ==================== */
+    
+    // Layers beyond the #website honeypot: time from first interaction to
+    // submit, interaction count, a proof-of-work stamp computed in a worker,
+    // per-browser throttling and an optional captcha. No layer reads or
+    // sends anything identifying; each verdict is reported as a bot_check
+    // event so thresholds can be tuned from real traffic.
+    class BotProtectionError extends Error {
+        constructor(message, layer) {
+            super(message);
+            this.name = 'BotProtectionError';
+            this.layer = layer;
+        }
+    }
+    
+    const botSignals = { firstInteractionAt: null, keystrokes: 0, focusEvents: 0, pointerEvents: 0 };
+    let pendingProofOfWork = null;
+    let captchaProvider = null;
+    
+    function reportBotVerdict(layer, verdict, details = {}) {
+        trackEvent('bot_check', { layer, verdict, ...details });
+    }
+    
+    // Worker source: find a nonce whose SHA-256("challenge:nonce") starts
+    // with `difficulty` zero bits. The server checks the stamp's hash and
+    // the timestamp at the front of the challenge.
+    const PROOF_OF_WORK_SOURCE = `
+        const hasLeadingZeroBits = (bytes, bits) => {
+            for (let i = 0; i < bits; i++) {
+                if (bytes[i >> 3] & (0x80 >> (i & 7))) return false;
+            }
+            return true;
+        };
+        
+        self.onmessage = async ({ data: { challenge, difficulty } }) => {
+            const encoder = new TextEncoder();
+            for (let nonce = 0; ; nonce++) {
+                const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + nonce)));
+                if (hasLeadingZeroBits(digest, difficulty)) {
+                    const hash = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+                    self.postMessage({ nonce, hash });
+                    return;
+                }
+            }
+        };
+    `;
+    
+    // Starts (once) computing a stamp in a Blob worker; resolves with
+    // { challenge, difficulty, nonce, hash, durationMs }
+    function startProofOfWork() {
+        if (pendingProofOfWork) return pendingProofOfWork;
+        
+        const { difficulty } = CONFIG.botProtection.proofOfWork;
+        const challenge = `${Date.now().toString(36)}.${generateUniqueId()}`;
+        const startedAt = performance.now();
+        
+        pendingProofOfWork = new Promise((resolve, reject) => {
+            if (typeof Worker === 'undefined' || !window.crypto || !window.crypto.subtle) {
+                reject(new Error('Web Workers or SubtleCrypto unavailable'));
+                return;
+            }
+            
+            const url = URL.createObjectURL(new Blob([PROOF_OF_WORK_SOURCE], { type: 'text/javascript' }));
+            let worker;
+            const finish = () => {
+                worker.terminate();
+                URL.revokeObjectURL(url);
+            };
+            
+            try {
+                worker = new Worker(url);
+            } catch (error) {
+                URL.revokeObjectURL(url);
+                reject(error);
+                return;
+            }
+            
+            worker.onmessage = ({ data }) => {
+                finish();
+                resolve({ challenge, difficulty, ...data, durationMs: Math.round(performance.now() - startedAt) });
+            };
+            worker.onerror = event => {
+                finish();
+                reject(new Error(event.message || 'Proof-of-work worker failed'));
+            };
+            worker.postMessage({ challenge, difficulty });
+        });
+        
+        // Failures are reported when the stamp is collected at submit
+        pendingProofOfWork.catch(() => {});
+        return pendingProofOfWork;
+    }
+    
+    // The stamp for this submission, or null if it isn't ready in time.
+    // Stamps are single-use, so the next submission starts a fresh one.
+    async function collectProofOfWork() {
+        const pending = startProofOfWork();
+        pendingProofOfWork = null;
+        
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), CONFIG.botProtection.proofOfWork.timeoutMs);
+        });
+        
+        try {
+            const stamp = await Promise.race([pending, timeout]);
+            reportBotVerdict('proofOfWork', stamp ? 'pass' : 'timeout', stamp ? { durationMs: stamp.durationMs } : {});
+            return stamp && { challenge: stamp.challenge, difficulty: stamp.difficulty, nonce: stamp.nonce, hash: stamp.hash };
+        } catch (error) {
+            reportBotVerdict('proofOfWork', 'unsupported', { reason: error.message });
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    // Attempts from this browser within the window, oldest first
+    function getSubmitAttempts() {
+        const { windowMs, storageKey } = CONFIG.botProtection.throttle;
+        const now = Date.now();
+        try {
+            return JSON.parse(localStorage.getItem(storageKey) || '[]').filter(time => now - time < windowMs);
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    function checkSubmitThrottle() {
+        const { maxAttempts, windowMs } = CONFIG.botProtection.throttle;
+        const attempts = getSubmitAttempts();
+        
+        if (attempts.length >= maxAttempts) {
+            reportBotVerdict('throttle', 'fail', { attempts: attempts.length });
+            const minutes = Math.ceil((windowMs - (Date.now() - attempts[0])) / 60000);
+            throw new BotProtectionError(t('submit.error.throttled', { minutes }), 'throttle');
+        }
+        
+        reportBotVerdict('throttle', 'pass', { attempts: attempts.length });
+    }
+    
+    // Called once a signup request is actually going out, so offline and
+    // queued attempts don't use up the quota
+    function recordSubmitAttempt() {
+        const attempts = getSubmitAttempts();
+        attempts.push(Date.now());
+        try {
+            localStorage.setItem(CONFIG.botProtection.throttle.storageKey, JSON.stringify(attempts));
+        } catch (error) {
+            console.warn('Could not record submit attempt:', error);
+        }
+    }
+    
+    // Timing and interaction layers; never block on their own
+    function checkHumanSignals() {
+        const { minSubmitMs, minInteractions } = CONFIG.botProtection;
+        const { firstInteractionAt, keystrokes, focusEvents, pointerEvents } = botSignals;
+        const elapsedMs = firstInteractionAt ? Date.now() - firstInteractionAt : 0;
+        const interactions = keystrokes + focusEvents + pointerEvents;
+        
+        const timingPassed = elapsedMs >= minSubmitMs;
+        const interactionPassed = interactions >= minInteractions;
+        reportBotVerdict('timing', timingPassed ? 'pass' : 'fail', { elapsedMs });
+        reportBotVerdict('interaction', interactionPassed ? 'pass' : 'fail', { keystrokes, focusEvents, pointerEvents });
+        
+        return { elapsedMs, interactions, suspicious: !timingPassed || !interactionPassed };
+    }
+    
+    // A provider is { name, execute({ action }) } where execute resolves
+    // with a token for the backend, e.g. a thin wrapper around a Turnstile
+    // or hCaptcha widget the host page loads
+    function registerCaptchaProvider(provider) {
+        if (!provider || typeof provider.execute !== 'function') {
+            console.warn('Captcha provider needs an execute() function');
+            return;
+        }
+        captchaProvider = { name: provider.name || 'custom', execute: provider.execute };
+    }
+    
+    async function runCaptcha(suspicious) {
+        const { when } = CONFIG.botProtection.captcha;
+        if (when === 'never' || (when === 'suspicious' && !suspicious)) return null;
+        
+        if (!captchaProvider) {
+            reportBotVerdict('captcha', 'skipped', { reason: 'no provider' });
+            return null;
+        }
+        
+        try {
+            const token = await captchaProvider.execute({ action: 'waitlist_signup' });
+            if (!token) throw new Error('No captcha token');
+            reportBotVerdict('captcha', 'pass', { provider: captchaProvider.name });
+            return { provider: captchaProvider.name, token };
+        } catch (error) {
+            reportBotVerdict('captcha', 'fail', { provider: captchaProvider.name });
+            throw new BotProtectionError(t('submit.error.captcha'), 'captcha');
+        }
+    }
+    
+    // Submit-time layers. Throws BotProtectionError when one blocks,
+    // otherwise returns what the backend gets in formData.botProtection.
+    async function runBotProtection() {
+        checkSubmitThrottle();
+        const signals = checkHumanSignals();
+        const captcha = await runCaptcha(signals.suspicious);
+        const proofOfWork = await collectProofOfWork();
+        
+        return {
+            elapsedMs: signals.elapsedMs,
+            interactions: signals.interactions,
+            suspicious: signals.suspicious,
+            proofOfWork,
+            captcha
+        };
+    }
+    
+    // Interaction signals are counts only; no key values or positions
+    function initBotProtection(form) {
+        const markInteraction = () => {
+            if (!botSignals.firstInteractionAt) {
+                botSignals.firstInteractionAt = Date.now();
+                startProofOfWork();
+            }
+        };
+        
+        form.addEventListener('keydown', () => {
+            botSignals.keystrokes++;
+            markInteraction();
+        });
+        form.addEventListener('focusin', () => {
+            botSignals.focusEvents++;
+            markInteraction();
+        });
+        form.addEventListener('pointerdown', () => {
+            botSignals.pointerEvents++;
+            markInteraction();
+        });
+    }
+    
+    window.registerCaptchaProvider = registerCaptchaProvider;
+    
+    /* ==================== SAFETY NOTICES ==================== */
+    
+    // Curated rules keyed on extractAndCategorizeMyth categories, most
+    // specific first. A rule applies when every one of its categories has
+    // an unnegated match; only the first applicable rule is shown. Copy
+    // lives in the message catalog under safety.<id>.*
+    const SAFETY_RULES = [
+        { id: 'harmToVulnerable', categories: ['harmful', 'vulnerable'] },
+        { id: 'stopTreatment', categories: ['refusal', 'treatment'] },
+        { id: 'harmfulSubstance', categories: ['harmful'] },
+        { id: 'medicineMisuse', categories: ['misuse', 'treatment'] }
+    ];
+    
+    let shownSafetyRule = null;
+    
+    function getSafetyRule(analysis) {
+        return SAFETY_RULES.find(rule =>
+            rule.categories.every(category => analysis.categories.includes(category))) || null;
+    }
+    
+    function renderSafetyNotice(rule) {
+        const notice = document.getElementById('mythSafetyNotice');
+        if (!notice) return;
+        
+        notice.replaceChildren();
+        notice.hidden = !rule;
+        if (!rule) return;
+        
+        const title = document.createElement('strong');
+        title.className = 'safety-notice-title';
+        title.textContent = t(`safety.${rule.id}.title`);
+        
+        const message = document.createElement('p');
+        message.textContent = t(`safety.${rule.id}.message`);
+        
+        const emergency = document.createElement('p');
+        emergency.className = 'safety-notice-emergency';
+        emergency.textContent = t('safety.emergency', { number: CONFIG.safety.emergencyNumber });
+        
+        const note = document.createElement('p');
+        note.className = 'safety-notice-note';
+        note.textContent = t('safety.continue');
+        
+        notice.append(title, message, emergency, note);
+    }
+    
+    // Shows, swaps or hides the notice for the current myth text. The event
+    // is recorded once per rule until the notice is hidden again.
+    function updateSafetyNotice(text) {
+        const analysis = text.trim() ? extractAndCategorizeMyth(text) : null;
+        const rule = analysis ? getSafetyRule(analysis) : null;
+        
+        if (rule === shownSafetyRule) return;
+        shownSafetyRule = rule;
+        renderSafetyNotice(rule);
+        
+        if (rule) {
+            trackEvent('safety_notice_shown', {
+                rule: rule.id,
+                mythSeverity: analysis.severity,
+                mythLanguage: analysis.language
+            });
+        }
+    }
+    
+    // Re-renders the visible notice, e.g. after a locale change
+    function refreshSafetyNotice() {
+        renderSafetyNotice(shownSafetyRule);
+    }
+    
+    /* ==================== DUPLICATE DETECTION ==================== */
+    
+    // Shingles are the stemmed content words of a text plus each pair of
+    // neighbouring content words, so "salt water prevents malaria" and
+    // "drinking salt water can prevent malaria" share most of theirs.
+    function getStopwords() {
+        const markers = Object.values(CONFIG.severity.lexicons).flatMap(lexicon => [...compileLexicon(lexicon).markers]);
+        return new Set(markers.concat(CONFIG.duplicates.stopwords.map(word => normalizeSearchText(word))));
+    }
+    
+    function getShingles(text, stopwords = getStopwords()) {
+        const words = tokenizeMyth(text)
+            .filter(token => !CLAUSE_PUNCTUATION.test(token) && !stopwords.has(token))
+            .map(stemToken);
+        
+        const shingles = new Set(words);
+        for (let i = 1; i < words.length; i++) {
+            shingles.add(`${words[i - 1]} ${words[i]}`);
+        }
+        return shingles;
+    }
+    
+    // Share of the typed text's shingles that also appear in the candidate.
+    // Containment rather than Jaccard, since a short report of a myth should
+    // match the tracked myth's longer write-up.
+    function getContainment(shingles, candidate) {
+        let shared = 0;
+        shingles.forEach(shingle => {
+            if (candidate.has(shingle)) shared++;
+        });
+        return shingles.size ? shared / shingles.size : 0;
+    }
+    
+    // Tracked myths are compared in English and the current locale; earlier
+    // submissions are identified by their timestamp, which is sent with them
+    function getDuplicateCandidates() {
+        const tracked = tickerMyths.map(data => {
+            const localized = localizeMyth(data);
+            const texts = new Set([data.title, data.content, localized.title, localized.content].filter(Boolean));
+            return { source: 'tracked', id: data.id, title: localized.title || data.title, texts: [...texts] };
+        });
+        
+        let submissions = [];
+        try {
+            submissions = JSON.parse(localStorage.getItem('pritma_submissions') || '[]')
+                .filter(entry => entry.myth && entry.timestamp)
+                .map(entry => ({ source: 'submission', id: entry.timestamp, texts: [entry.myth] }));
+        } catch (error) {
+            console.warn('Could not read previous submissions:', error);
+        }
+        
+        return tracked.concat(submissions);
+    }
+    
+    // Best match above the threshold, tracked myths winning ties, or null
+    function findDuplicateMyth(text) {
+        const { threshold, minShingles } = CONFIG.duplicates;
+        const stopwords = getStopwords();
+        const shingles = getShingles(text, stopwords);
+        if (shingles.size < minShingles) return null;
+        
+        let best = null;
+        getDuplicateCandidates().forEach(candidate => {
+            const similarity = Math.max(...candidate.texts.map(candidateText =>
+                getContainment(shingles, getShingles(candidateText, stopwords))));
+            
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { ...candidate, similarity: Math.round(similarity * 100) / 100 };
+            }
+        });
+        
+        return best && { source: best.source, id: best.id, title: best.title, similarity: best.similarity };
+    }
+    
+    let shownDuplicate = null;
+    
+    function renderDuplicateNotice(match) {
+        const notice = document.getElementById('mythDuplicateNotice');
+        if (!notice) return;
+        
+        notice.replaceChildren();
+        notice.hidden = !match;
+        if (!match) return;
+        
+        const message = match.source === 'tracked'
+            ? t('duplicate.tracked', { title: match.title || match.id })
+            : t('duplicate.submitted');
+        
+        const addDetails = document.createElement('button');
+        addDetails.type = 'button';
+        addDetails.className = 'duplicate-notice-action';
+        addDetails.textContent = t('duplicate.addDetails');
+        addDetails.addEventListener('click', () => {
+            const mythInput = document.getElementById('myth');
+            if (!mythInput) return;
+            mythInput.focus();
+            mythInput.setSelectionRange(mythInput.value.length, mythInput.value.length);
+        });
+        
+        notice.append(`${message} `, addDetails);
+    }
+    
+    function updateDuplicateNotice(text) {
+        const match = text.trim() ? findDuplicateMyth(text) : null;
+        const key = match && `${match.source}:${match.id}`;
+        
+        if (key === (shownDuplicate && `${shownDuplicate.source}:${shownDuplicate.id}`)) return;
+        shownDuplicate = match;
+        renderDuplicateNotice(match);
+        
+        if (match) {
+            trackEvent('duplicate_myth_detected', {
+                source: match.source,
+                mythId: match.source === 'tracked' ? match.id : null,
+                similarity: match.similarity
+            });
+        }
+    }
+    
+    // Re-renders the visible notice, e.g. after a locale change
+    function refreshDuplicateNotice() {
+        renderDuplicateNotice(shownDuplicate);
+    }
+    
+    /* ==================== WAITLIST API CLIENT ==================== */
+    
+    // Error types raised by the waitlist client. `retryable` marks the
+    // failures worth retrying with the same idempotency key.
+    class WaitlistError extends Error {
+        constructor(message, { status = 0, retryable = false, body = null } = {}) {
+            super(message);
+            this.name = 'WaitlistError';
+            this.status = status;
+            this.retryable = retryable;
+            this.body = body;
+        }
+    }
+    
+    // 422 - the backend rejected one or more fields
+    class ValidationError extends WaitlistError {
+        constructor(message, fieldErrors = {}, options = {}) {
+            super(message, { ...options, status: 422 });
+            this.name = 'ValidationError';
+            this.fieldErrors = fieldErrors;
+        }
+    }
+    
+    // 409 - this email is already on the waitlist
+    class DuplicateEmailError extends WaitlistError {
+        constructor(message, options = {}) {
+            super(message, { ...options, status: 409 });
+            this.name = 'DuplicateEmailError';
+        }
+    }
+    
+    // 429 - too many requests; retryAfter is in seconds (null if not sent)
+    class RateLimitError extends WaitlistError {
+        constructor(message, retryAfter, options = {}) {
+            super(message, { ...options, status: 429 });
+            this.name = 'RateLimitError';
+            this.retryAfter = retryAfter;
+        }
+    }
+    
+    // 5xx - backend failure, retried with backoff
+    class ServerError extends WaitlistError {
+        constructor(message, status, options = {}) {
+            super(message, { ...options, status, retryable: true });
+            this.name = 'ServerError';
+        }
+    }
+    
+    // Network failure or timeout, retried with backoff
+    class NetworkError extends WaitlistError {
+        constructor(message, { timedOut = false } = {}) {
+            super(message, { retryable: true });
+            this.name = 'NetworkError';
+            this.timedOut = timedOut;
+        }
+    }
+    
+    // Retry-After may be delta-seconds or an HTTP date
+    function parseRetryAfter(headerValue) {
+        if (!headerValue) return null;
+        
+        const seconds = Number(headerValue);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, Math.ceil(seconds));
+        }
+        
+        const date = Date.parse(headerValue);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+        }
+        
+        return null;
+    }
+    
+    // Exponential backoff with full jitter
+    function getRetryDelay(attempt) {
+        const { retryBaseDelayMs, retryMaxDelayMs } = CONFIG.api;
+        const ceiling = Math.min(retryMaxDelayMs, retryBaseDelayMs * Math.pow(2, attempt));
+        return Math.floor(Math.random() * ceiling);
+    }
+    
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    // Map a non-2xx response onto the matching error type
+    async function toWaitlistError(response) {
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (parseError) {
+            // Error bodies are optional
+        }
+        
+        const message = (body && body.message) || `Request failed with status ${response.status}`;
+        
+        switch (response.status) {
+            case 409:
+                return new DuplicateEmailError(message, { body });
+            case 422:
+                return new ValidationError(message, (body && body.errors) || {}, { body });
+            case 429:
+                return new RateLimitError(message, parseRetryAfter(response.headers.get('Retry-After')), { body });
+            default:
+                if (response.status >= 500) {
+                    return new ServerError(message, response.status, { body });
+                }
+                return new WaitlistError(message, { status: response.status, body });
+        }
+    }
+    
+    // fetch() with a CONFIG.api.timeoutMs abort and the mock transport.
+    // Resolves with the raw Response; network failures become NetworkError.
+    async function fetchWithTimeout(url, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.api.timeoutMs);
+        const transport = CONFIG.mock.enabled ? mockFetch : fetch;
+        
+        try {
+            return await transport(url, {
+                ...options,
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    ...(options.headers || {})
+                },
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new NetworkError('The request timed out', { timedOut: true });
+            }
+            throw new NetworkError(error.message || 'Network request failed');
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    // Error mapping and JSON parsing shared by every waitlist API call
+    async function requestApi(url, options = {}) {
+        const response = await fetchWithTimeout(url, options);
+        
+        if (!response.ok) {
+            throw await toWaitlistError(response);
+        }
+        
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new ServerError('Invalid response from server', response.status);
+        }
+    }
+    
+    // POST a single signup attempt
+    function postWaitlistAttempt(formData, idempotencyKey) {
+        return requestApi(CONFIG.apiEndpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': idempotencyKey
+            },
+            body: JSON.stringify(formData)
+        });
+    }
+    
+    // Submit to the waitlist API. Retries 5xx and network failures with
+    // exponential backoff, reusing one idempotency key so a retry can never
+    // create a second signup.
+    async function submitToBackend(formData, { idempotencyKey = generateUniqueId() } = {}) {
+        const { maxRetries } = CONFIG.api;
+        
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await postWaitlistAttempt(formData, idempotencyKey);
+            } catch (error) {
+                if (!(error instanceof WaitlistError) || !error.retryable || attempt >= maxRetries) {
+                    console.error('Backend submission error:', error);
+                    throw error;
+                }
+                
+                const delay = getRetryDelay(attempt);
+                console.warn(`Submission attempt ${attempt + 1} failed (${error.message}), retrying in ${delay}ms`);
+                await wait(delay);
+            }
+        }
+    }
+    
+    /* ==================== MOCK BACKEND ==================== */
+    
+    // Attempts per idempotency key, so multi-step fixtures can fail then succeed
+    const mockAttempts = new Map();
+    
+    // Status lookups, the myth feed and milestones use one fixture each; signups follow
+    // the ?mock= scenario
+    function getMockFixtureUrl(url) {
+        if (url.startsWith(CONFIG.status.endpoint)) {
+            return `${CONFIG.mock.fixturesPath}status/default.json`;
+        }
+        if (url.startsWith(CONFIG.mythFeed.endpoint)) {
+            return `${CONFIG.mock.fixturesPath}myths/feed.json`;
+        }
+        if (url.startsWith(CONFIG.milestones.endpoint)) {
+            return `${CONFIG.mock.fixturesPath}milestones/default.json`;
+        }
+        return `${CONFIG.mock.fixturesPath}waitlist/${encodeURIComponent(CONFIG.mock.scenario)}.json`;
+    }
+    
+    // Stand-in for fetch() that answers from fixtures/. A fixture is either a
+    // single { status, headers, body, delayMs } response or { responses: [...] },
+    // replayed in order across retries.
+    async function mockFetch(url, options) {
+        const fixtureUrl = getMockFixtureUrl(url);
+        
+        let fixture;
+        try {
+            const fixtureResponse = await fetch(fixtureUrl, { cache: 'no-store' });
+            fixture = await fixtureResponse.json();
+        } catch (error) {
+            console.warn(`[PRITMA Mock] Could not load fixture ${fixtureUrl}:`, error);
+            throw new TypeError('Failed to fetch');
+        }
+        
+        const key = options.headers['Idempotency-Key'] || `${options.method || 'GET'} ${url}`;
+        const attempt = mockAttempts.get(key) || 0;
+        mockAttempts.set(key, attempt + 1);
+        
+        const steps = Array.isArray(fixture.responses) ? fixture.responses : [fixture];
+        const step = steps[Math.min(attempt, steps.length - 1)];
+        
+        // Honour timeouts so the abort path can be exercised locally
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, step.delayMs || 0);
+            options.signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Aborted', 'AbortError'));
+            });
+        });
+        
+        if (step.networkError) {
+            throw new TypeError('Failed to fetch');
+        }
+        
+        // Conditional GETs get a 304 while the fixture's ETag still matches
+        const etag = step.headers && step.headers.ETag;
+        if (etag && options.headers['If-None-Match'] === etag) {
+            console.log(`[PRITMA Mock] ${fixtureUrl} (attempt ${attempt + 1}): 304`);
+            return new Response(null, { status: 304, headers: { ETag: etag } });
+        }
+        
+        const body = step.body ? { ...step.body } : null;
+        
+        // Referral codes are issued by the backend; fill one in for fixtures that omit it
+        if (body && body.success && !body.referralCode) {
+            body.referralCode = generateReferralCode();
+        }
+        
+        console.log(`[PRITMA Mock] ${fixtureUrl} (attempt ${attempt + 1}): ${step.status}`);
+        
+        return new Response(body ? JSON.stringify(body) : null, {
+            status: step.status,
+            headers: { 'Content-Type': 'application/json', ...(step.headers || {}) }
+        });
+    }
+    
+    /* ==================== OFFLINE OUTBOX ==================== */
+    
+    // Signups that could not reach the network are kept here and replayed
+    // when connectivity returns. Entries are keyed by their idempotency key,
+    // so a replay that already landed server-side is collapsed by the backend.
+    const OUTBOX_DB_NAME = 'pritma';
+    const OUTBOX_STORE = 'outbox';
+    const OUTBOX_STORAGE_KEY = 'pritma_outbox';
+    
+    let outboxDbPromise = null;
+    let outboxReplaying = false;
+    
+    function openOutboxDb() {
+        if (!outboxDbPromise) {
+            outboxDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB not available'));
+                    return;
+                }
+                
+                const request = window.indexedDB.open(OUTBOX_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return outboxDbPromise;
+    }
+    
+    // Run one request against the outbox object store
+    async function outboxRequest(mode, operation) {
+        const db = await openOutboxDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(OUTBOX_STORE, mode);
+            const request = operation(transaction.objectStore(OUTBOX_STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // localStorage fallback, same pattern as pritma_submissions
+    function readOutboxStorage() {
+        return JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY) || '[]');
+    }
+    
+    function writeOutboxStorage(entries) {
+        localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+    }
+    
+    const outbox = {
+        async getAll() {
+            try {
+                return await outboxRequest('readonly', store => store.getAll());
+            } catch (error) {
+                return readOutboxStorage();
+            }
+        },
+        
+        async put(entry) {
+            try {
+                await outboxRequest('readwrite', store => store.put(entry));
+            } catch (error) {
+                const entries = readOutboxStorage().filter(existing => existing.id !== entry.id);
+                entries.push(entry);
+                writeOutboxStorage(entries);
+            }
+        },
+        
+        async remove(id) {
+            try {
+                await outboxRequest('readwrite', store => store.delete(id));
+            } catch (error) {
+                writeOutboxStorage(readOutboxStorage().filter(entry => entry.id !== id));
+            }
+        }
+    };
+    
+    // Queue a signup for later delivery. One pending signup per email:
+    // a newer entry for the same address replaces the older one.
+    async function queueSubmission(formData, idempotencyKey) {
+        const pending = await outbox.getAll();
+        const superseded = pending.filter(entry => entry.formData.email === formData.email);
+        
+        for (const entry of superseded) {
+            await outbox.remove(entry.id);
+        }
+        
+        // Proof-of-work stamps are single-use and checked for age, so the
+        // replay computes a fresh one instead of storing this one
+        await outbox.put({
+            id: idempotencyKey,
+            formData: { ...formData, botProtection: { ...formData.botProtection, proofOfWork: null } },
+            queuedAt: new Date().toISOString()
+        });
+        
+        trackEvent('submission_queued', {
+            orgType: formData.orgType,
+            online: navigator.onLine,
+            replaced: superseded.length
+        });
+    }
+    
+    async function showPendingState() {
+        const pending = await outbox.getAll();
+        
+        if (pending.length) {
+            showFormStatus(t('submit.pending'), 'pending');
+        }
+        
+        return pending.length;
+    }
+    
+    // Send queued signups in the order they were made. Network/server
+    // failures stay queued for the next attempt; anything the backend
+    // rejected outright is dropped and shown to the user.
+    async function replayOutbox() {
+        if (outboxReplaying || !navigator.onLine) return;
+        outboxReplaying = true;
+        
+        try {
+            const pending = (await outbox.getAll())
+                .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+            
+            for (const entry of pending) {
+                try {
+                    const formData = {
+                        ...entry.formData,
+                        botProtection: { ...entry.formData.botProtection, proofOfWork: await collectProofOfWork() }
+                    };
+                    const response = await submitToBackend(formData, { idempotencyKey: entry.id });
+                    await outbox.remove(entry.id);
+                    clearFormStatus();
+                    
+                    trackEvent('submission_replayed', {
+                        queuedAt: entry.queuedAt,
+                        orgType: entry.formData.orgType
+                    });
+                    
+                    handleSubmissionSuccess(formData, response);
+                } catch (error) {
+                    if (error instanceof NetworkError || error instanceof ServerError || error instanceof RateLimitError) {
+                        break;
+                    }
+                    
+                    await outbox.remove(entry.id);
+                    trackEvent('submission_replay_rejected', {
+                        errorType: error.name,
+                        status: error.status || null
+                    });
+                    showSubmissionError(error);
+                }
+            }
+        } finally {
+            outboxReplaying = false;
+        }
+    }
+    
+    function initOutbox() {
+        window.addEventListener('online', () => {
+            trackEvent('connectivity_restored', {});
+            replayOutbox();
+        });
+        
+        window.addEventListener('offline', () => {
+            showPendingState();
+        });
+        
+        // Replay anything left over from a previous visit
+        showPendingState().then(count => {
+            if (count) replayOutbox();
+        });
+    }
+    
+    /* ==================== FORM DRAFTS ==================== */
+    
+    // Saves what the user has typed so a reload or accidental back
+    // navigation doesn't lose it. Only WAITLIST_FORM_SCHEMA fields are
+    // saved, so the honeypot never is.
+    let draftPromptPending = false;
+    
+    function getDraftStorage() {
+        return hasConsent('functional') ? localStorage : sessionStorage;
+    }
+    
+    function readDraft() {
+        const { storageKey } = CONFIG.drafts;
+        try {
+            const draft = JSON.parse(getDraftStorage().getItem(storageKey) || localStorage.getItem(storageKey) || 'null');
+            if (!draft || !draft.values) return null;
+            
+            if (Date.now() > Date.parse(draft.expiresAt)) {
+                clearDraft();
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    function clearDraft() {
+        const { storageKey } = CONFIG.drafts;
+        try {
+            localStorage.removeItem(storageKey);
+            sessionStorage.removeItem(storageKey);
+        } catch (error) {
+            console.warn('Could not clear form draft:', error);
+        }
+    }
+    
+    function saveDraft() {
+        // Don't overwrite a draft the user hasn't decided about yet (typing
+        // counts as a decision, see initDrafts)
+        if (draftPromptPending) return;
+        
+        const values = {};
+        Object.keys(WAITLIST_FORM_SCHEMA).forEach(name => {
+            const element = getFieldElement(name);
+            if (element && element.value) {
+                values[name] = element.value;
+            }
+        });
+        
+        if (!Object.keys(values).length) {
+            clearDraft();
+            return;
+        }
+        
+        const savedAt = Date.now();
+        const draft = {
+            savedAt: new Date(savedAt).toISOString(),
+            expiresAt: new Date(savedAt + CONFIG.drafts.expiryHours * 60 * 60 * 1000).toISOString(),
+            values
+        };
+        
+        try {
+            clearDraft();
+            getDraftStorage().setItem(CONFIG.drafts.storageKey, JSON.stringify(draft));
+        } catch (error) {
+            console.warn('Could not save form draft:', error);
+        }
+    }
+    
+    // Also called after a locale change while the prompt is showing
+    function renderDraftPrompt() {
+        const draft = draftPromptPending && readDraft();
+        const text = document.querySelector('#draftPrompt .draft-prompt-text');
+        if (!draft || !text) return;
+        
+        text.textContent = t('draft.prompt', {
+            time: new Date(draft.savedAt).toLocaleString(currentLocale, { dateStyle: 'medium', timeStyle: 'short' })
+        });
+    }
+    
+    function hideDraftPrompt() {
+        draftPromptPending = false;
+        const prompt = document.getElementById('draftPrompt');
+        if (prompt) {
+            prompt.hidden = true;
+        }
+    }
+    
+    function restoreDraft() {
+        const draft = readDraft();
+        hideDraftPrompt();
+        if (!draft) return;
+        
+        Object.entries(draft.values).forEach(([name, value]) => {
+            const element = WAITLIST_FORM_SCHEMA[name] && getFieldElement(name);
+            if (element) {
+                element.value = value;
+            }
+        });
+        
+        // Counter, visibility and myth notices follow the restored values
+        updateFieldVisibility();
+        const mythInput = document.getElementById('myth');
+        if (mythInput) {
+            mythInput.dispatchEvent(new Event('input'));
+        }
+        
+        trackEvent('draft_restored', { fields: Object.keys(draft.values) });
+    }
+    
+    function discardDraft() {
+        hideDraftPrompt();
+        clearDraft();
+        trackEvent('draft_discarded', { reason: 'button' });
+    }
+    
+    function initDrafts(form) {
+        const draft = readDraft();
+        const prompt = document.getElementById('draftPrompt');
+        
+        if (draft && prompt) {
+            draftPromptPending = true;
+            renderDraftPrompt();
+            prompt.hidden = false;
+            trackEvent('draft_prompt_shown', { fields: Object.keys(draft.values) });
+        }
+        
+        const scheduleSave = debounce(saveDraft, CONFIG.drafts.debounceMs);
+        
+        // Editing the form while the prompt is up means starting afresh: the
+        // old draft is dropped so the new text can be saved over it
+        function handleEdit() {
+            if (draftPromptPending) {
+                hideDraftPrompt();
+                trackEvent('draft_discarded', { reason: 'edited' });
+            }
+            scheduleSave();
+        }
+        form.addEventListener('input', handleEdit);
+        form.addEventListener('change', handleEdit);
+        
+        // The debounce may not fire before the page goes away
+        window.addEventListener('pagehide', saveDraft);
+    }
+    
+    window.restoreDraft = restoreDraft;
+    window.discardDraft = discardDraft;
+    
+    /* ==================== FORM SUBMISSION ==================== */
+    
+    // Inline message for the form as a whole (errors not tied to a field).
+    // type: 'error' | 'pending'
+    function showFormStatus(message, type = 'error') {
+        const status = document.getElementById('formStatus');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.remove('error', 'pending');
+        status.classList.add('visible', type);
+    }
+    
+    function clearFormStatus() {
+        const status = document.getElementById('formStatus');
+        if (!status) return;
+        
+        status.textContent = '';
+        status.classList.remove('visible', 'error', 'pending');
+    }
+    
+    // The last failure toast, dismissed when the user tries again
+    let submissionErrorToast = null;
+    
+    // Shared by live submissions and outbox replays
+    function handleSubmissionSuccess(formData, response) {
+        // A response without a usable position is shown as pending, not "#undefined"
+        const queuePosition = Number.isFinite(response.queuePosition) ? response.queuePosition : null;
+        
+        // Track successful submission
+        trackEvent('form_submission_success', {
+            queuePosition: queuePosition,
+            orgType: formData.orgType,
+            mythKeywords: formData.mythAnalysis.keywords,
+            mythSeverity: formData.mythAnalysis.severity
+        });
+        
+        // Store submission in localStorage (for demo)
+        try {
+            const submissions = JSON.parse(localStorage.getItem('pritma_submissions') || '[]');
+            submissions.push({
+                ...formData,
+                queuePosition: queuePosition,
+                referralCode: response.referralCode
+            });
+            localStorage.setItem('pritma_submissions', JSON.stringify(submissions));
+        } catch (storageError) {
+            console.warn('Could not store submission locally:', storageError);
+        }
+        
+        // The invite has been used; don't credit it again
+        if (formData.referredBy) {
+            clearReferralAttribution();
+        }
+        
+        // Show success modal
+        showSuccessModal(queuePosition, response.referralCode);
+        updateMySpotButton();
+    }
+    
+    // Surface each error type where the user can act on it. Errors the user
+    // can't fix in the form go to a toast, with a Retry action when given.
+    function showSubmissionError(error, retry = null) {
+        if (error instanceof ValidationError) {
+            const fields = Object.keys(error.fieldErrors);
+            fields.forEach(field => showError(getFieldGroupId(field), error.fieldErrors[field]));
+            
+            if (!fields.length) {
+                showFormStatus(t('submit.error.validation'));
+            }
+        } else if (error instanceof DuplicateEmailError) {
+            showError('emailGroup', t('submit.error.duplicate'));
+        } else if (error instanceof BotProtectionError) {
+            showFormStatus(error.message);
+        } else {
+            let message = t('submit.error.server');
+            if (error instanceof RateLimitError) {
+                message = error.retryAfter
+                    ? t('submit.error.rateLimitRetry', { seconds: error.retryAfter })
+                    : t('submit.error.rateLimit');
+            } else if (error instanceof NetworkError) {
+                message = error.timedOut ? t('submit.error.timeout') : t('submit.error.network');
+            }
+            
+            submissionErrorToast = showToast(message, {
+                type: 'error',
+                action: retry && { label: t('submit.retry'), onClick: retry }
+            });
+        }
+    }
+    
+    // Back to a blank form, with conditional fields and notices hidden and
+    // no saved draft
+    function resetWaitlistForm(form) {
+        form.reset();
+        hideDraftPrompt();
+        clearDraft();
+        updateFieldVisibility();
+        updateEmailInsights('');
+        
+        const charCount = document.getElementById('mythCharCount');
+        if (charCount) {
+            charCount.textContent = '0';
+        }
+        updateSafetyNotice('');
+        updateDuplicateNotice('');
+    }
+    
+    function initFormHandling() {
+        const form = document.getElementById('waitlistForm');
+        if (!form) return;
+        
+        const mythInput = document.getElementById('myth');
+        const honeypotInput = document.getElementById('website');
+        
+        bindFormFields();
+        initBotProtection(form);
+        initDrafts(form);
+        
+        const emailInput = document.getElementById('email');
+        if (emailInput) {
+            emailInput.addEventListener('blur', () => updateEmailInsights(emailInput.value));
+        }
+        
+        // Character counter and safety notice for myth textarea
+        if (mythInput) {
+            const checkMythSafety = debounce(() => updateSafetyNotice(mythInput.value), CONFIG.safety.debounceMs);
+            const checkMythDuplicate = debounce(() => updateDuplicateNotice(mythInput.value), CONFIG.duplicates.debounceMs);
+            mythInput.addEventListener('input', () => {
+                const charCount = document.getElementById('mythCharCount');
+                if (charCount) {
+                    charCount.textContent = mythInput.value.length;
+                }
+                checkMythSafety();
+                checkMythDuplicate();
+            });
+        }
+        
+        // Form submission
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            // Clear all previous errors
+            document.querySelectorAll('.form-group').forEach(group => {
+                group.classList.remove('error');
+            });
+            clearFormStatus();
+            
+            // Validate honeypot (bot detection)
+            const honeypotPassed = validateHoneypot(honeypotInput.value);
+            reportBotVerdict('honeypot', honeypotPassed ? 'pass' : 'fail');
+            if (!honeypotPassed) {
+                console.warn('Bot detected via honeypot');
+                trackEvent('bot_detected', { method: 'honeypot' });
+                return; // Silently fail for bots
+            }
+            
+            // Validate all fields
+            const values = getFormValues();
+            const { valid, errors } = await validateForm(values);
+            
+            if (!valid) {
+                showFieldErrors(errors);
+                trackEvent('form_validation_failed', {
+                    errors: Object.keys(errors),
+                    rules: Object.fromEntries(Object.entries(errors).map(([name, error]) => [name, error.rule]))
+                });
+                return;
+            }
+            
+            // Prepare sanitized form data
+            const formData = {
+                ...buildFormPayload(values),
+                emailProfile: (({ type, orgType, institution }) => ({ type, orgType, institution }))(classifyEmail(values.email)),
+                timestamp: new Date().toISOString(),
+                userAgent: navigator.userAgent,
+                referrer: document.referrer,
+                ...getReferralPayload()
+            };
+            
+            // Analyze myth content
+            const mythAnalysis = extractAndCategorizeMyth(mythInput.value);
+            const duplicate = findDuplicateMyth(mythInput.value);
+            mythAnalysis.duplicateOf = duplicate && { source: duplicate.source, id: duplicate.id, similarity: duplicate.similarity };
+            formData.mythAnalysis = mythAnalysis;
+            
+            // Track form submission attempt
+            trackEvent('form_submission_started', {
+                orgType: formData.orgType,
+                mythCategories: mythAnalysis.categories,
+                mythSeverity: mythAnalysis.severity,
+                mythLanguage: mythAnalysis.language,
+                mythDuplicateOf: duplicate && duplicate.source === 'tracked' ? duplicate.id : null
+            });
+            
+            await sendSubmission(form, formData, generateUniqueId());
+        });
+    }
     
-    function clearError(groupId) {
-        const group = document.getElementById(groupId);
-        if (!group) return;
+    function setSubmitLoading(loading) {
+        const submitBtn = document.getElementById('submitBtn');
+        if (!submitBtn) return;
         
-        group.classList.remove('error');
-        const errorElement = group.querySelector('.error-message');
-        if (errorElement) {
-            errorElement.textContent = '';
+        submitBtn.disabled = loading;
+        submitBtn.classList.toggle('loading', loading);
+        submitBtn.querySelector('.btn-text').textContent = t(loading ? 'form.submitting' : 'form.submit');
+    }
+    
+    // Sends a prepared payload. A retry resends the same payload under the
+    // same idempotency key, skipping the bot checks it already passed.
+    async function sendSubmission(form, formData, idempotencyKey, { retry = false } = {}) {
+        if (submissionErrorToast) {
+            submissionErrorToast.dismiss();
+            submissionErrorToast = null;
+        }
+        setSubmitLoading(true);
+        
+        try {
+            if (retry) {
+                trackEvent('form_submission_retried', { orgType: formData.orgType });
+            } else {
+                // Throws BotProtectionError when a layer blocks the attempt
+                formData.botProtection = await runBotProtection();
+            }
+            
+            // Don't spend retries on a connection we know is down
+            if (!navigator.onLine) {
+                throw new NetworkError('Browser is offline');
+            }
+            
+            // Submit to backend
+            recordSubmitAttempt();
+            const response = await submitToBackend(formData, { idempotencyKey });
+            
+            handleSubmissionSuccess(formData, response);
+            
+            resetWaitlistForm(form);
+            
+        } catch (error) {
+            console.error('Form submission error:', error);
+            
+            // Track error
+            trackEvent('form_submission_error', {
+                error: error.message,
+                errorType: error.name,
+                status: error.status || null,
+                orgType: formData.orgType,
+                retry
+            });
+            
+            // Keep the signup for later instead of losing what the user typed
+            if (error instanceof NetworkError) {
+                try {
+                    await queueSubmission(formData, idempotencyKey);
+                    await showPendingState();
+                    resetWaitlistForm(form);
+                    return;
+                } catch (queueError) {
+                    console.warn('Could not queue submission offline:', queueError);
+                }
+            }
+            
+            // Show user-friendly error
+            showSubmissionError(error, () => sendSubmission(form, formData, idempotencyKey, { retry: true }));
+            
+        } finally {
+            setSubmitLoading(false);
+        }
+    }
+    
+    /* ==================== DIALOGS ==================== */
+    
+    // Controller for modal dialogs: the rest of the page is made inert and
+    // the body stops scrolling, Tab cycles inside the dialog, Escape and
+    // backdrop clicks close only the open dialog, and focus goes back to
+    // whatever opened it. One dialog is open at a time.
+    const FOCUSABLE_SELECTOR = [
+        'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])', 'textarea:not([disabled])', 'summary', 'iframe', '[contenteditable="true"]',
+        '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+    
+    let activeDialog = null;
+    
+    // Skips anything hidden or inside a closed <details> (its summary stays)
+    function getFocusableElements(container) {
+        return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => {
+            if (element.closest('[hidden], [inert]')) return false;
+            
+            const details = element.parentElement && element.parentElement.closest('details');
+            return !details || details.open || element === details.querySelector(':scope > summary');
+        });
+    }
+    
+    // options.initialFocus: element to focus (defaults to the first focusable)
+    // options.returnFocus: where focus goes on close (defaults to the opener)
+    // options.onClose(reason): reason is 'escape', 'backdrop' or what
+    //   closeDialog was given
+    function openDialog(dialog, { initialFocus = null, returnFocus = document.activeElement, onClose = null } = {}) {
+        if (activeDialog) {
+            closeDialog('replaced');
+        }
+        
+        // Live regions stay reachable so toasts are still announced
+        const inerted = [...document.body.children].filter(child =>
+            child !== dialog && !child.hasAttribute('inert') && !child.hasAttribute('aria-live') && child.tagName !== 'SCRIPT');
+        inerted.forEach(child => child.setAttribute('inert', ''));
+        
+        // Keep the layout from shifting when the scrollbar disappears
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+        document.body.style.paddingRight = scrollbarWidth > 0 ? `${scrollbarWidth}px` : '';
+        document.body.classList.add('dialog-open');
+        
+        dialog.classList.add('active');
+        dialog.setAttribute('aria-hidden', 'false');
+        
+        activeDialog = { dialog, inerted, returnFocus, onClose };
+        
+        const target = initialFocus || getFocusableElements(dialog)[0];
+        if (target) {
+            target.focus();
+        }
+    }
+    
+    // Returns false when no dialog was open, so callers don't report
+    // closing something that wasn't there
+    function closeDialog(reason = 'close') {
+        if (!activeDialog) return false;
+        
+        const { dialog, inerted, returnFocus, onClose } = activeDialog;
+        activeDialog = null;
+        
+        dialog.classList.remove('active');
+        dialog.setAttribute('aria-hidden', 'true');
+        inerted.forEach(child => child.removeAttribute('inert'));
+        document.body.classList.remove('dialog-open');
+        document.body.style.paddingRight = '';
+        
+        if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+            returnFocus.focus();
+        }
+        
+        if (onClose) {
+            onClose(reason);
+        }
+        return true;
+    }
+    
+    function trapDialogFocus(e) {
+        const focusable = getFocusableElements(activeDialog.dialog);
+        if (!focusable.length) {
+            e.preventDefault();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = activeDialog.dialog.contains(document.activeElement);
+        
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    document.addEventListener('keydown', (e) => {
+        if (!activeDialog) return;
+        
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeDialog('escape');
+        } else if (e.key === 'Tab') {
+            trapDialogFocus(e);
+        }
+    });
+    
+    // Backdrop clicks close the dialog they belong to
+    document.addEventListener('click', (e) => {
+        if (activeDialog && e.target.classList.contains('modal-backdrop') && activeDialog.dialog.contains(e.target)) {
+            closeDialog('backdrop');
+        }
+    });
+    
+    // Where inert isn't supported, pull stray focus back into the dialog
+    document.addEventListener('focusin', (e) => {
+        if (activeDialog && !activeDialog.dialog.contains(e.target) && !e.target.closest('[aria-live]')) {
+            const [first] = getFocusableElements(activeDialog.dialog);
+            if (first) {
+                first.focus();
+            }
+        }
+    });
+    
+    /* ==================== TOASTS ==================== */
+    
+    // Non-blocking notifications in the #toastRegion live region. Error
+    // toasts use role="alert" so they're announced straight away. The
+    // dismiss timer pauses while the toast is hovered or has focus.
+    // type: 'success' | 'info' | 'error'
+    // action: { label, onClick } adds a button that runs onClick and
+    //   dismisses the toast
+    // Returns { dismiss }.
+    function showToast(message, { type = 'info', action = null, duration = null } = {}) {
+        const region = document.getElementById('toastRegion');
+        if (!region) return { dismiss() {} };
+        
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        
+        const text = document.createElement('p');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.appendChild(text);
+        
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'toast-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                dismiss();
+                action.onClick();
+            });
+            toast.appendChild(actionButton);
+        }
+        
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'toast-close';
+        closeButton.setAttribute('aria-label', t('toast.dismiss'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => dismiss());
+        toast.appendChild(closeButton);
+        
+        let remaining = duration || (action ? CONFIG.toasts.actionDurationMs : CONFIG.toasts.durationMs);
+        let startedAt = 0;
+        let timer = null;
+        let hovered = false;
+        let focusOrigin = null;
+        
+        function resume() {
+            if (timer || hovered || toast.contains(document.activeElement)) return;
+            startedAt = Date.now();
+            timer = setTimeout(dismiss, remaining);
+        }
+        
+        function pause() {
+            if (!timer) return;
+            clearTimeout(timer);
+            timer = null;
+            remaining -= Date.now() - startedAt;
+        }
+        
+        function dismiss() {
+            clearTimeout(timer);
+            if (!toast.isConnected) return;
+            
+            // Don't strand keyboard users on a removed button
+            const hadFocus = toast.contains(document.activeElement);
+            toast.remove();
+            if (hadFocus && focusOrigin && focusOrigin.isConnected) {
+                focusOrigin.focus();
+            }
+        }
+        
+        toast.addEventListener('mouseenter', () => { hovered = true; pause(); });
+        toast.addEventListener('mouseleave', () => { hovered = false; resume(); });
+        toast.addEventListener('focusin', (e) => {
+            if (!toast.contains(e.relatedTarget)) {
+                focusOrigin = e.relatedTarget;
+            }
+            pause();
+        });
+        toast.addEventListener('focusout', (e) => {
+            if (!toast.contains(e.relatedTarget)) {
+                setTimeout(resume, 0);
+            }
+        });
+        
+        region.appendChild(toast);
+        
+        // Oldest toasts make way for new ones
+        const toasts = region.querySelectorAll('.toast');
+        [...toasts].slice(0, Math.max(0, toasts.length - CONFIG.toasts.maxVisible)).forEach(old => old.remove());
+        
+        resume();
+        return { dismiss };
+    }
+    
+    /* ==================== SUCCESS MODAL ==================== */
+    
+    // returning: reopened via "My spot" rather than straight after signup
+    function showSuccessModal(queuePosition, referralCode, { returning = false } = {}) {
+        const modal = document.getElementById('successModal');
+        const positionElement = document.getElementById('queuePosition');
+        const referralLinkElement = document.getElementById('referralLink');
+        
+        if (!modal) return;
+        
+        // Update modal content
+        if (positionElement) {
+            positionElement.textContent = Number.isFinite(queuePosition) ? `#${queuePosition}` : t('modal.positionPending');
+        }
+        
+        const subtitle = modal.querySelector('.modal-subtitle');
+        if (subtitle) {
+            subtitle.textContent = t(returning ? 'modal.subtitleReturning' : 'modal.subtitle');
+        }
+        
+        if (referralLinkElement) {
+            referralLinkElement.value = `${CONFIG.referralBaseUrl}${referralCode}`;
+        }
+        
+        const qrDetails = document.getElementById('qrDetails');
+        if (qrDetails && qrDetails.open) {
+            renderReferralQr();
+        }
+        
+        // Straight after signup the submit button is still disabled, so focus
+        // returns to it explicitly rather than to whatever had it
+        openDialog(modal, {
+            initialFocus: modal.querySelector('.modal-close'),
+            returnFocus: returning ? document.activeElement : document.getElementById('submitBtn'),
+            onClose: reason => trackEvent('modal_closed', { reason })
+        });
+        
+        // Track modal view
+        trackEvent('success_modal_shown', {
+            queuePosition: queuePosition,
+            referralCode: referralCode,
+            returning: returning
+        });
+        
+        loadMySpot(referralCode);
+    }
+    
+    window.closeModal = function() {
+        closeDialog('button');
+    };
+    
+    window.copyReferralLink = function() {
+        const referralLinkElement = document.getElementById('referralLink');
+        if (!referralLinkElement) return;
+        
+        const link = referralLinkElement.value;
+        const copied = navigator.clipboard
+            ? navigator.clipboard.writeText(link)
+            : Promise.reject(new Error('Clipboard API unavailable'));
+        
+        copied.then(() => {
+            showToast(t('toast.linkCopied'), { type: 'success' });
+            
+            trackEvent('referral_link_copied', {
+                link: link
+            });
+        }).catch(err => {
+            console.error('Failed to copy:', err);
+            
+            // Fallback: select the text so it can be copied by hand
+            referralLinkElement.focus();
+            referralLinkElement.select();
+            showToast(t('toast.copyFailed'), { type: 'error' });
+            
+            trackEvent('referral_link_copy_failed', {});
+        });
+    };
+    
+    /* ==================== SHARE SHEET ==================== */
+    
+    // Each channel has its own message template (share.<channel> in the
+    // message catalog; {link} is replaced with the tagged referral link), a
+    // length limit, and a URL builder. linkLength is
+    // how much the link counts towards the limit (X shortens every link to 23).
+    const SHARE_CHANNELS = {
+        whatsapp: {
+            maxLength: 2000,
+            buildUrl: message => `https://wa.me/?text=${encodeURIComponent(message)}`
+        },
+        telegram: {
+            maxLength: 1000,
+            // Telegram shows the link separately, so the template leaves it out
+            buildUrl: (message, link) => `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(message)}`
+        },
+        x: {
+            maxLength: 280,
+            linkLength: 23,
+            buildUrl: message => `https://x.com/intent/post?text=${encodeURIComponent(message)}`
+        },
+        linkedin: {
+            maxLength: 3000,
+            buildUrl: message => `https://www.linkedin.com/feed/?shareActive=true&text=${encodeURIComponent(message)}`
+        },
+        email: {
+            maxLength: 1800, // Keeps mailto: URLs within common client limits
+            buildUrl: message => `mailto:?subject=${encodeURIComponent(t('share.emailSubject'))}&body=${encodeURIComponent(message)}`
+        },
+        sms: {
+            maxLength: 306, // Two concatenated SMS segments
+            buildUrl: message => `sms:?&body=${encodeURIComponent(message)}`
+        },
+        // Web Share API: the OS share sheet picks the app
+        native: {
+            maxLength: 1000,
+            title: 'PRITMA Health'
+        }
+    };
+    
+    // Referral link tagged with the channel it was shared through
+    function buildShareLink(baseLink, channel) {
+        try {
+            const url = new URL(baseLink);
+            url.searchParams.set('utm_source', channel);
+            url.searchParams.set('utm_medium', 'referral');
+            url.searchParams.set('utm_campaign', 'waitlist');
+            return url.toString();
+        } catch (error) {
+            return baseLink;
+        }
+    }
+    
+    // Fill {link} into the template, shortening the surrounding text (never
+    // the link) until the message fits the channel's limit
+    function fitShareMessage(template, link, { maxLength, linkLength = link.length }) {
+        let [before, after = ''] = template.split('{link}');
+        const hasLink = template.includes('{link}');
+        const measure = () => before.length + after.length + (hasLink ? linkLength : 0);
+        
+        let overflow = measure() - maxLength;
+        if (overflow > 0 && after) {
+            const cut = Math.min(after.length, overflow + 1);
+            after = after.length > cut ? `${after.slice(0, after.length - cut).trimEnd()}…` : '';
+            overflow = measure() - maxLength;
+        }
+        if (overflow > 0) {
+            before = `${before.slice(0, Math.max(0, before.length - overflow - 1)).trimEnd()}…`;
         }
+        
+        return hasLink ? `${before}${link}${after}` : before;
+    }
+    
+    function getReferralLink() {
+        const referralLinkElement = document.getElementById('referralLink');
+        return referralLinkElement ? referralLinkElement.value : '';
     }
     
-    function validateEmail(email) {
-        const trimmedEmail = email.trim().toLowerCase();
-        const { minLength, maxLength, pattern, personalDomains } = CONFIG.validation.email;
+    async function shareNatively(baseLink) {
+        const channel = SHARE_CHANNELS.native;
+        const link = buildShareLink(baseLink, 'native');
         
-        if (!trimmedEmail) {
-            return { valid: false, error: 'Email is required' };
+        try {
+            await navigator.share({
+                title: channel.title,
+                text: fitShareMessage(t('share.native'), link, channel),
+                url: link
+            });
+            trackEvent('referral_shared', { channel: 'native' });
+        } catch (error) {
+            // AbortError just means the user closed the share sheet
+            if (error.name !== 'AbortError') {
+                console.warn('Web Share failed:', error);
+            }
         }
+    }
+    
+    window.shareReferral = function(channelName) {
+        const baseLink = getReferralLink();
+        if (!baseLink) return;
         
-        if (trimmedEmail.length < minLength) {
-            return { valid: false, error: 'Email is too short' };
+        if (channelName === 'native') {
+            shareNatively(baseLink);
+            return;
         }
         
-        if (trimmedEmail.length > maxLength) {
-            return { valid: false, error: 'Email is too long' };
+        const channel = SHARE_CHANNELS[channelName];
+        if (!channel) return;
+        
+        const link = buildShareLink(baseLink, channelName);
+        const message = fitShareMessage(t(`share.${channelName}`), link, channel);
+        const shareUrl = channel.buildUrl(message, link);
+        
+        // mailto:/sms: hand off to the OS; web targets open in a new tab
+        if (/^https?:/.test(shareUrl)) {
+            window.open(shareUrl, '_blank', 'noopener');
+        } else {
+            window.location.href = shareUrl;
         }
         
-        if (!pattern.test(trimmedEmail)) {
-            return { valid: false, error: 'Please enter a valid email address' };
+        trackEvent('referral_shared', {
+            channel: channelName,
+            messageLength: message.length
+        });
+    };
+    
+    function initShareSheet() {
+        // Offer the OS share sheet first where the browser supports it
+        const nativeButton = document.getElementById('nativeShareBtn');
+        if (nativeButton && typeof navigator.share === 'function') {
+            nativeButton.hidden = false;
+        }
+    }
+    
+    /* ==================== QR CODE ENCODER ==================== */
+    
+    // Minimal QR Code Model 2 encoder (byte mode, error correction level M)
+    // so referral QR codes are generated on-device with no external API.
+    // Follows ISO/IEC 18004; tables are indexed by version (1-40).
+    const QR_ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+        26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+    const QR_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14,
+        16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+    const QR_FORMAT_BITS_M = 0;
+    
+    function qrGetBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+    
+    // Modules available for data + ECC once function patterns are placed
+    function qrRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+    
+    function qrDataCodewords(version) {
+        return Math.floor(qrRawDataModules(version) / 8) -
+            QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ERROR_CORRECTION_BLOCKS[version];
+    }
+    
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    function qrMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
         }
+        return z;
+    }
+    
+    function qrReedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
         
-        // Check for personal email domains (soft warning)
-        const domain = trimmedEmail.split('@')[1];
-        if (personalDomains.includes(domain)) {
-            // Don't reject, but flag for analytics
-            trackEvent('personal_email_used', { domain });
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = qrMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = qrMultiply(root, 0x02);
         }
-        
-        return { valid: true };
+        return result;
     }
     
-    function validateOrgType(orgType) {
-        if (!orgType) {
-            return { valid: false, error: 'Please select your organization type' };
-        }
-        return { valid: true };
+    function qrReedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= qrMultiply(coefficient, factor);
+            });
+        });
+        return result;
     }
     
-    function validateMyth(myth) {
-        const trimmedMyth = myth.trim();
-        const { minLength, maxLength } = CONFIG.validation.myth;
+    // Split data into blocks, append ECC to each and interleave
+    function qrAddEccAndInterleave(data, version) {
+        const numBlocks = QR_ERROR_CORRECTION_BLOCKS[version];
+        const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = qrReedSolomonDivisor(blockEccLen);
         
-        if (!trimmedMyth) {
-            return { valid: false, error: 'Please share a health myth you\'ve encountered' };
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const blockData = data.slice(offset, offset + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            offset += blockData.length;
+            const ecc = qrReedSolomonRemainder(blockData, divisor);
+            if (i < numShortBlocks) blockData.push(0); // Placeholder, skipped below
+            blocks.push(blockData.concat(ecc));
         }
         
-        if (trimmedMyth.length < minLength) {
-            return { valid: false, error: `Please provide more detail (at least ${minLength} characters)` };
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
         }
+        return result;
+    }
+    
+    function qrEncodeData(bytes, version) {
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        
+        appendBits(0x4, 4); // Byte mode
+        appendBits(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => appendBits(byte, 8));
         
-        if (trimmedMyth.length > maxLength) {
-            return { valid: false, error: `Please keep it under ${maxLength} characters` };
+        const capacityBits = qrDataCodewords(version) * 8;
+        appendBits(0, Math.min(4, capacityBits - bits.length)); // Terminator
+        appendBits(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
         }
         
-        return { valid: true };
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
     }
     
-    function validateHoneypot(honeypotValue) {
-        // If honeypot is filled, it's likely a bot
-        return honeypotValue === '';
+    function qrAlignmentPositions(version, size) {
+        if (version === 1) return [];
+        
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
     }
     
-    /* ==================== FORM SUBMISSION ==================== */
+    const QR_MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
     
-    async function submitToBackend(formData) {
-        // Simulate API call for demo
-        // Replace with actual fetch call to your backend
+    // Penalty score used to pick the most scannable mask
+    function qrPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+        let dark = 0;
         
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                // Simulate successful submission
-                const success = Math.random() > 0.1; // 90% success rate for demo
-                
-                if (success) {
-                    resolve({
-                        success: true,
-                        queuePosition: CONFIG.baseQueuePosition + Math.floor(Math.random() * 50),
-                        referralCode: generateReferralCode(formData.email),
-                        message: 'Successfully added to waitlist'
-                    });
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+        
+        lines.forEach(line => {
+            // Runs of five or more same-coloured modules
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
                 } else {
-                    reject(new Error('Submission failed. Please try again.'));
+                    if (runLength >= 5) penalty += runLength - 2;
+                    runLength = 1;
                 }
-            }, 1500);
+            }
+            
+            // Finder-like 1:1:3:1:1 patterns with a light margin
+            const text = line.map(module => (module ? '1' : '0')).join('');
+            penalty += (text.match(/(?=10111010000|00001011101)/g) || []).length * 40;
         });
         
-        /* PRODUCTION CODE - Replace above with this:
-        try {
-            const response = await fetch(CONFIG.apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                body: JSON.stringify(formData)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                
+                // 2x2 blocks of one colour
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
             }
-            
-            return await response.json();
-        } catch (error) {
-            console.error('Backend submission error:', error);
-            throw error;
         }
-        */
+        
+        // Dark/light balance
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        
+        return penalty;
     }
     
-    function initFormHandling() {
-        const form = document.getElementById('waitlistForm');
-        if (!form) return;
+    // Encode text as a QR code. Returns a square matrix of booleans (true = dark).
+    function encodeQrCode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
         
-        const emailInput = document.getElementById('email');
-        const orgTypeInput = document.getElementById('orgType');
-        const mythInput = document.getElementById('myth');
-        const submitBtn = document.getElementById('submitBtn');
-        const honeypotInput = document.getElementById('website');
+        let version = 1;
+        while (version <= 40 && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(version) * 8) {
+            version++;
+        }
+        if (version > 40) {
+            throw new RangeError('Text is too long for a QR code');
+        }
         
-        // Character counter for myth textarea
-        if (mythInput) {
-            mythInput.addEventListener('input', () => {
-                const charCount = document.getElementById('mythCharCount');
-                if (charCount) {
-                    charCount.textContent = mythInput.value.length;
-                }
-            });
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+        
+        const drawFormatBits = (mask) => {
+            const data = (QR_FORMAT_BITS_M << 3) | mask;
+            let remainder = data;
+            for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+            const bits = ((data << 10) | remainder) ^ 0x5412;
+            
+            for (let i = 0; i <= 5; i++) setFunction(8, i, qrGetBit(bits, i));
+            setFunction(8, 7, qrGetBit(bits, 6));
+            setFunction(8, 8, qrGetBit(bits, 7));
+            setFunction(7, 8, qrGetBit(bits, 8));
+            for (let i = 9; i < 15; i++) setFunction(14 - i, 8, qrGetBit(bits, i));
+            
+            for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, qrGetBit(bits, i));
+            for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, qrGetBit(bits, i));
+            setFunction(8, size - 8, true); // Dark module
+        };
+        
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
         }
         
-        // Real-time validation on blur
-        if (emailInput) {
-            emailInput.addEventListener('blur', () => {
-                const validation = validateEmail(emailInput.value);
-                if (!validation.valid && emailInput.value) {
-                    showError('emailGroup', validation.error);
-                } else {
-                    clearError('emailGroup');
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
                 }
-            });
-        }
+            }
+        });
         
-        if (mythInput) {
-            mythInput.addEventListener('blur', () => {
-                const validation = validateMyth(mythInput.value);
-                if (!validation.valid && mythInput.value) {
-                    showError('mythGroup', validation.error);
-                } else {
-                    clearError('mythGroup');
+        // Alignment patterns, except where they would overlap finders
+        const alignment = qrAlignmentPositions(version, size);
+        alignment.forEach((cy, i) => {
+            alignment.forEach((cx, j) => {
+                const last = alignment.length - 1;
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
                 }
             });
-        }
+        });
         
-        // Form submission
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            // Clear all previous errors
-            document.querySelectorAll('.form-group').forEach(group => {
-                group.classList.remove('error');
-            });
-            
-            // Validate honeypot (bot detection)
-            if (!validateHoneypot(honeypotInput.value)) {
-                console.warn('Bot detected via honeypot');
-                trackEvent('bot_detected', { method: 'honeypot' });
-                return; // Silently fail for bots
-            }
-            
-            // Validate all fields
-            const emailValidation = validateEmail(emailInput.value);
-            const orgTypeValidation = validateOrgType(orgTypeInput.value);
-            const mythValidation = validateMyth(mythInput.value);
-            
-            let isValid = true;
+        drawFormatBits(0); // Reserve the format areas; redrawn per mask
+        
+        // Version information (version 7+)
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
             
-            if (!emailValidation.valid) {
-                showError('emailGroup', emailValidation.error);
-                isValid = false;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, qrGetBit(bits, i));
+                setFunction(b, a, qrGetBit(bits, i));
             }
+        }
+        
+        // Place codewords in the zigzag order, right to left in column pairs
+        const codewords = qrAddEccAndInterleave(qrEncodeData(bytes, version), version);
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing column
             
-            if (!orgTypeValidation.valid) {
-                showError('orgTypeGroup', orgTypeValidation.error);
-                isValid = false;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    
+                    if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                        modules[y][x] = qrGetBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                        bitIndex++;
+                    }
+                }
             }
-            
-            if (!mythValidation.valid) {
-                showError('mythGroup', mythValidation.error);
-                isValid = false;
+        }
+        
+        const applyMask = (mask) => {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (!isFunction[y][x] && QR_MASKS[mask](x, y)) {
+                        modules[y][x] = !modules[y][x];
+                    }
+                }
             }
-            
-            if (!isValid) {
-                trackEvent('form_validation_failed', {
-                    errors: [
-                        !emailValidation.valid ? 'email' : null,
-                        !orgTypeValidation.valid ? 'orgType' : null,
-                        !mythValidation.valid ? 'myth' : null
-                    ].filter(Boolean)
-                });
-                return;
+        };
+        
+        // Try every mask and keep the one with the lowest penalty
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < QR_MASKS.length; mask++) {
+            applyMask(mask);
+            drawFormatBits(mask);
+            const penalty = qrPenalty(modules);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
             }
-            
-            // Prepare sanitized form data
-            const formData = {
-                email: sanitizeInput(emailInput.value.trim().toLowerCase()),
-                orgType: sanitizeInput(orgTypeInput.value),
-                myth: sanitizeInput(mythInput.value.trim()),
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent,
-                referrer: document.referrer
-            };
-            
-            // Analyze myth content
-            const mythAnalysis = extractAndCategorizeMyth(mythInput.value);
-            formData.mythAnalysis = mythAnalysis;
-            
-            // Track form submission attempt
-            trackEvent('form_submission_started', {
-                orgType: formData.orgType,
-                mythCategories: mythAnalysis.categories,
-                mythSeverity: mythAnalysis.severity
+            applyMask(mask); // XOR again to undo
+        }
+        
+        applyMask(bestMask);
+        drawFormatBits(bestMask);
+        
+        return modules;
+    }
+    
+    // SVG markup for a QR matrix; margin is the quiet zone in modules
+    function renderQrSvg(modules, { margin = 4, size = 256, dark = '#0a1628', light = '#ffffff' } = {}) {
+        const dimension = modules.length + margin * 2;
+        let path = '';
+        
+        modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) path += `M${x + margin},${y + margin}h1v1h-1z`;
             });
-            
-            // Show loading state
-            submitBtn.disabled = true;
-            submitBtn.classList.add('loading');
-            submitBtn.querySelector('.btn-text').textContent = 'Submitting...';
-            
-            try {
-                // Submit to backend
-                const response = await submitToBackend(formData);
-                
-                // Track successful submission
-                trackEvent('form_submission_success', {
-                    queuePosition: response.queuePosition,
-                    orgType: formData.orgType,
-                    mythKeywords: mythAnalysis.keywords,
-                    mythSeverity: mythAnalysis.severity
-                });
-                
-                // Store submission in localStorage (for demo)
-                try {
-                    const submissions = JSON.parse(localStorage.getItem('pritma_submissions') || '[]');
-                    submissions.push({
-                        ...formData,
-                        queuePosition: response.queuePosition,
-                        referralCode: response.referralCode
-                    });
-                    localStorage.setItem('pritma_submissions', JSON.stringify(submissions));
-                } catch (storageError) {
-                    console.warn('Could not store submission locally:', storageError);
-                }
-                
-                // Show success modal
-                showSuccessModal(response.queuePosition, response.referralCode);
-                
-                // Reset form
-                form.reset();
-                document.getElementById('mythCharCount').textContent = '0';
-                
-            } catch (error) {
-                console.error('Form submission error:', error);
-                
-                // Track error
-                trackEvent('form_submission_error', {
-                    error: error.message,
-                    orgType: formData.orgType
-                });
-                
-                // Show user-friendly error
-                alert('Sorry, there was an error submitting your information. Please try again or contact us directly.');
-                
-            } finally {
-                // Reset button state
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('loading');
-                submitBtn.querySelector('.btn-text').textContent = 'Secure My Institution\'s Access';
-            }
         });
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="${light}"/>` +
+            `<path d="${path}" fill="${dark}"/>` +
+            '</svg>';
     }
     
-    /* ==================== SUCCESS MODAL ==================== */
-    
-    function showSuccessModal(queuePosition, referralCode) {
-        const modal = document.getElementById('successModal');
-        const positionElement = document.getElementById('queuePosition');
-        const referralLinkElement = document.getElementById('referralLink');
+    // Draw a QR matrix onto a new canvas at scale pixels per module
+    function renderQrCanvas(modules, { margin = 4, scale = 10, dark = '#0a1628', light = '#ffffff' } = {}) {
+        const canvas = document.createElement('canvas');
+        const dimension = (modules.length + margin * 2) * scale;
+        canvas.width = dimension;
+        canvas.height = dimension;
         
-        if (!modal) return;
+        const context = canvas.getContext('2d');
+        context.fillStyle = light;
+        context.fillRect(0, 0, dimension, dimension);
+        context.fillStyle = dark;
         
-        // Update modal content
-        if (positionElement) {
-            positionElement.textContent = `#${queuePosition}`;
-        }
+        modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+            });
+        });
         
-        if (referralLinkElement) {
-            referralLinkElement.value = `${CONFIG.referralBaseUrl}${referralCode}`;
+        return canvas;
+    }
+    
+    /* ==================== REFERRAL QR CODE ==================== */
+    
+    // QR of the referral link for recruiting colleagues in person. The link
+    // is tagged utm_source=qr so scans are attributed separately.
+    function getQrReferralLink() {
+        return buildShareLink(getReferralLink(), 'qr');
+    }
+    
+    function renderReferralQr() {
+        const container = document.getElementById('referralQr');
+        const link = getQrReferralLink();
+        if (!container || !link) return;
+        
+        try {
+            container.innerHTML = renderQrSvg(encodeQrCode(link), { size: 200 });
+            container.querySelector('svg').setAttribute('aria-hidden', 'true');
+            container.dataset.link = link;
+        } catch (error) {
+            console.error('QR generation failed:', error);
+            container.textContent = t('referral.qrUnavailable');
         }
+    }
+    
+    window.downloadReferralQr = function(format) {
+        const link = getQrReferralLink();
+        if (!link) return;
         
-        // Show modal
-        modal.classList.add('active');
-        modal.setAttribute('aria-hidden', 'false');
+        const modules = encodeQrCode(link);
         
-        // Focus management for accessibility
-        const closeButton = modal.querySelector('.modal-close');
-        if (closeButton) {
-            closeButton.focus();
+        if (format === 'svg') {
+            const svg = `<?xml version="1.0" encoding="UTF-8"?>\n${renderQrSvg(modules, { size: 1024 })}`;
+            downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'pritma-referral-qr.svg');
+        } else {
+            renderQrCanvas(modules, { scale: 16 }).toBlob(blob => {
+                if (blob) downloadBlob(blob, 'pritma-referral-qr.png');
+            }, 'image/png');
         }
         
-        // Track modal view
-        trackEvent('success_modal_shown', {
-            queuePosition: queuePosition,
-            referralCode: referralCode
+        trackEvent('referral_qr_downloaded', { format: format === 'svg' ? 'svg' : 'png' });
+    };
+    
+    // Print a small branded poster; print CSS hides everything else
+    window.printReferralQr = function() {
+        const poster = document.getElementById('qrPoster');
+        const link = getQrReferralLink();
+        if (!poster || !link) return;
+        
+        poster.querySelector('.qr-poster-code').innerHTML = renderQrSvg(encodeQrCode(link), { size: 480 });
+        poster.querySelector('.qr-poster-link').textContent = link.split('&')[0];
+        
+        document.body.classList.add('printing-qr-poster');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-qr-poster');
+        }, { once: true });
+        
+        trackEvent('referral_qr_printed', {});
+        window.print();
+    };
+    
+    function initReferralQr() {
+        const details = document.getElementById('qrDetails');
+        if (!details) return;
+        
+        // Render lazily when the panel is opened; the link can change between opens
+        details.addEventListener('toggle', () => {
+            if (!details.open) return;
+            
+            renderReferralQr();
+            trackEvent('referral_qr_shown', {});
         });
     }
     
-    window.closeModal = function() {
-        const modal = document.getElementById('successModal');
-        if (!modal) return;
+    /* ==================== MY SPOT (REFERRAL DASHBOARD) ==================== */
+    
+    // Returning users can reopen the success modal to see their live queue
+    // position and referral progress. Status is cached so the panel still
+    // works offline.
+    function getLatestSubmission() {
+        try {
+            const submissions = JSON.parse(localStorage.getItem('pritma_submissions') || '[]');
+            return submissions.filter(submission => submission.referralCode).pop() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    function getCachedStatus(referralCode) {
+        try {
+            const cached = JSON.parse(localStorage.getItem(CONFIG.status.cacheKey) || 'null');
+            return cached && cached.referralCode === referralCode ? cached : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async function fetchQueueStatus(referralCode) {
+        const data = await requestApi(`${CONFIG.status.endpoint}/${encodeURIComponent(referralCode)}`);
+        const cached = { referralCode, data, fetchedAt: new Date().toISOString() };
         
-        modal.classList.remove('active');
-        modal.setAttribute('aria-hidden', 'true');
+        try {
+            localStorage.setItem(CONFIG.status.cacheKey, JSON.stringify(cached));
+        } catch (error) {
+            console.warn('Could not cache queue status:', error);
+        }
         
-        trackEvent('modal_closed', {});
-    };
+        return cached;
+    }
     
-    window.copyReferralLink = function() {
-        const referralLinkElement = document.getElementById('referralLink');
-        const copyBtn = event.target.closest('.copy-btn');
+    // Line chart of queue position over time. Lower positions plot higher,
+    // so moving up the queue reads as an upward line.
+    function renderPositionChart(history) {
+        const width = 300;
+        const height = 100;
+        const padding = 10;
         
-        if (!referralLinkElement || !copyBtn) return;
+        const points = (history || []).filter(point => Number.isFinite(point.queuePosition));
+        if (points.length < 2) return '';
         
-        const link = referralLinkElement.value;
+        const positions = points.map(point => point.queuePosition);
+        const best = Math.min(...positions);
+        const worst = Math.max(...positions);
+        const range = worst - best || 1;
         
-        // Copy to clipboard
-        navigator.clipboard.writeText(link).then(() => {
-            // Update button state
-            const originalHTML = copyBtn.innerHTML;
-            copyBtn.classList.add('copied');
-            copyBtn.innerHTML = `
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <polyline points="20 6 9 17 4 12"></polyline>
-                </svg>
-                <span class="copy-text">Copied!</span>
-            `;
-            
-            setTimeout(() => {
-                copyBtn.classList.remove('copied');
-                copyBtn.innerHTML = originalHTML;
-            }, 2000);
-            
-            trackEvent('referral_link_copied', {
-                link: link
-            });
-        }).catch(err => {
-            console.error('Failed to copy:', err);
-            
-            // Fallback: select the text
-            referralLinkElement.select();
-            alert('Link copied! You can now share it with your colleagues.');
+        const coords = points.map((point, index) => {
+            const x = padding + (index / (points.length - 1)) * (width - padding * 2);
+            const y = padding + ((point.queuePosition - best) / range) * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
         });
-    };
+        
+        const last = coords[coords.length - 1].split(',');
+        
+        return `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+                <polyline points="${coords.join(' ')}" fill="none" stroke="#00FF41" stroke-width="2" stroke-linejoin="round"/>
+                <circle cx="${last[0]}" cy="${last[1]}" r="4" fill="#00FF41"/>
+            </svg>
+            <div class="my-spot-chart-labels">
+                <span>${sanitizeInput(points[0].date)}</span>
+                <span>${sanitizeInput(points[points.length - 1].date)}</span>
+            </div>
+        `;
+    }
     
-    window.shareToWhatsApp = function() {
-        const referralLinkElement = document.getElementById('referralLink');
-        if (!referralLinkElement) return;
+    function renderMySpot(cached, { stale = false } = {}) {
+        const panel = document.getElementById('mySpot');
+        if (!panel || !cached) return;
         
-        const link = referralLinkElement.value;
-        const message = encodeURIComponent(
-            `🚨 PRITMA Health - Combat Health Misinformation\n\n` +
-            `I just joined the waitlist for PRITMA, Nigeria's first clinical-grade platform to detect dangerous health rumors.\n\n` +
-            `Join me and move up the queue:\n${link}\n\n` +
-            `Together, we can stop life-threatening misinformation before it spreads.`
-        );
+        const { data, fetchedAt } = cached;
+        const history = data.history || [];
+        
+        if (Number.isFinite(data.queuePosition)) {
+            document.getElementById('queuePosition').textContent = `#${data.queuePosition}`;
+        }
         
-        const whatsappUrl = `https://wa.me/?text=${message}`;
+        document.getElementById('referralCount').textContent = data.referralCount || 0;
+        document.getElementById('positionsPerReferral').textContent = data.positionsPerReferral || 0;
         
-        // Open WhatsApp
-        window.open(whatsappUrl, '_blank');
+        const chart = document.getElementById('mySpotChart');
+        chart.innerHTML = renderPositionChart(history);
+        chart.hidden = !chart.innerHTML;
+        if (history.length >= 2) {
+            const first = history[0];
+            const latest = history[history.length - 1];
+            chart.setAttribute('aria-label', t('mySpot.chartLabel', {
+                from: first.queuePosition,
+                fromDate: first.date,
+                to: latest.queuePosition,
+                toDate: latest.date
+            }));
+        }
         
-        trackEvent('referral_shared_whatsapp', {
-            link: link
-        });
-    };
+        const updated = document.getElementById('mySpotUpdated');
+        const time = new Date(fetchedAt).toLocaleString(currentLocale);
+        updated.textContent = t(stale ? 'mySpot.stale' : 'mySpot.updated', { time });
+        updated.classList.toggle('stale', stale);
+        
+        panel.hidden = false;
+    }
     
-    // Close modal on escape key
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            closeModal();
+    // Show the cached status straight away, then refresh from the backend
+    async function loadMySpot(referralCode) {
+        const cached = getCachedStatus(referralCode);
+        if (cached) {
+            renderMySpot(cached, { stale: !navigator.onLine });
         }
-    });
+        
+        try {
+            renderMySpot(await fetchQueueStatus(referralCode));
+        } catch (error) {
+            console.warn('Could not refresh queue status:', error);
+            if (cached) {
+                renderMySpot(cached, { stale: true });
+            }
+        }
+    }
     
-    // Close modal on backdrop click
-    document.addEventListener('click', (e) => {
-        if (e.target.classList.contains('modal-backdrop')) {
-            closeModal();
+    window.openMySpot = function() {
+        const submission = getLatestSubmission();
+        if (!submission) return;
+        
+        const cached = getCachedStatus(submission.referralCode);
+        const queuePosition = cached && Number.isFinite(cached.data.queuePosition)
+            ? cached.data.queuePosition
+            : submission.queuePosition;
+        
+        showSuccessModal(queuePosition, submission.referralCode, { returning: true });
+    };
+    
+    function updateMySpotButton() {
+        const button = document.getElementById('mySpotBtn');
+        if (button) {
+            button.hidden = !getLatestSubmission();
         }
-    });
+    }
     
     /* ==================== INTERSECTION OBSERVER (PERFORMANCE) ==================== */
     
+    // Sections start hidden (.reveal-pending) only in full-motion mode, and
+    // only once the observer exists, so content without JS stays visible
+    function revealAllSections() {
+        document.querySelectorAll('section.reveal-pending').forEach(section => {
+            section.classList.remove('reveal-pending');
+        });
+    }
+    
     function initIntersectionObserver() {
+        if (!('IntersectionObserver' in window)) return;
+        
         const observerOptions = {
             threshold: 0.1,
             rootMargin: '50px'
         };
         
+        let observed = false;
         const observer = new IntersectionObserver((entries) => {
+            observed = true;
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    entry.target.style.opacity = '1';
-                    entry.target.style.transform = 'translateY(0)';
+                    entry.target.classList.remove('reveal-pending');
                     
                     // Track section view
                     trackEvent('section_viewed', {
@@ -802,11 +5497,20 @@
         
         // Observe sections
         document.querySelectorAll('section').forEach(section => {
-            section.style.opacity = '0';
-            section.style.transform = 'translateY(20px)';
-            section.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+            if (!reducedMotion) {
+                section.classList.add('reveal-pending');
+            }
             observer.observe(section);
         });
+        
+        // Observers report every target straight away; if this one hasn't,
+        // don't leave the page blank waiting for it
+        setTimeout(() => {
+            if (!observed) {
+                console.warn('Section observer never reported; revealing sections');
+                revealAllSections();
+            }
+        }, CONFIG.motion.revealFallbackMs);
     }
     
     /* ==================== PERFORMANCE MONITORING ==================== */
@@ -849,11 +5553,22 @@
         });
         
         // Initialize all features
+        initConsent();
+        initI18n();
+        initAnalytics();
+        initReferralAttribution();
+        initMotionMode();
         hidePageLoader();
         initCountdown();
         populateTicker();
+        initObservatory();
+        loadMythFeed();
         initScrollAnimations();
         initFormHandling();
+        initOutbox();
+        updateMySpotButton();
+        initShareSheet();
+        initReferralQr();
         initIntersectionObserver();
         monitorPerformance();
         
@@ -874,14 +5589,39 @@
     /* ==================== EXPORT FOR DEBUGGING ==================== */
     
     // Expose utilities for debugging in development
-    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+    if (isLocalHost()) {
         window.PRITMA_DEBUG = {
-            getAnalytics: () => JSON.parse(localStorage.getItem('pritma_analytics') || '[]'),
+            getAnalytics: () => loadAnalyticsQueue(),
             getSubmissions: () => JSON.parse(localStorage.getItem('pritma_submissions') || '[]'),
-            clearAnalytics: () => localStorage.removeItem('pritma_analytics'),
+            clearAnalytics: () => {
+                analyticsQueue = [];
+                saveAnalyticsQueue();
+            },
             clearSubmissions: () => localStorage.removeItem('pritma_submissions'),
+            getOutbox: () => outbox.getAll(),
+            replayOutbox: replayOutbox,
             config: CONFIG,
-            trackEvent: trackEvent
+            messages: MESSAGES_EN,
+            generateReferralCode: generateReferralCode,
+            parseReferralCode: parseReferralCode,
+            validateMythFeed: validateMythFeed,
+            analyzeMyth: extractAndCategorizeMyth,
+            findDuplicateMyth: findDuplicateMyth,
+            classifyEmail: classifyEmail,
+            buildIcsFile: buildIcsFile,
+            // Scores the labelled corpus (or the samples given) and prints
+            // precision/recall per severity level
+            evaluateSeverityModel: async (samples) => {
+                if (!samples) {
+                    const response = await fetch(CONFIG.severity.corpusPath);
+                    samples = (await response.json()).samples;
+                }
+                const report = evaluateSeverityModel(samples);
+                console.table(report.classes);
+                return report;
+            },
+            trackEvent: trackEvent,
+            flushAnalytics: flushAnalytics
         };
         
         console.log('%c📊 Debug Mode Active', 'color: #ff9500; font-size: 12px;');
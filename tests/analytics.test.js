@@ -0,0 +1,140 @@
+'use strict';
+
+// Analytics delivery over the http transport: batching, retries after a
+// failed delivery, the page-hide beacon and the size cap on the queue.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+// Page whose collector endpoint answers with collector.status and records
+// each batch; sendBeacon accepts while collector.acceptBeacons is true
+async function loadWithCollector() {
+    const collector = { status: 202, batches: [], beacons: 0, acceptBeacons: true };
+    const page = await loadPage({
+        beforeParse: window => {
+            const serve = window.fetch;
+            window.fetch = async (resource, options) => {
+                if (String(resource) !== window.PRITMA_DEBUG.config.analytics.endpoint) {
+                    return serve(resource, options);
+                }
+                collector.batches.push(JSON.parse(options.body).events);
+                return new Response(null, { status: collector.status });
+            };
+            window.navigator.sendBeacon = () => {
+                collector.beacons++;
+                return collector.acceptBeacons;
+            };
+        }
+    });
+    return { ...page, collector };
+}
+
+function acceptConsent(page) {
+    page.document.querySelector('[data-consent-action="accept"]').click();
+}
+
+function queuedIds(page) {
+    return Array.from(page.debug.getAnalytics(), event => event.id);
+}
+
+function track(page, count) {
+    for (let i = 0; i < count; i++) {
+        page.debug.trackEvent('test_event', { index: i });
+    }
+}
+
+test('nothing is queued or sent before consent', async () => {
+    const page = await loadWithCollector();
+    try {
+        track(page, 30);
+        await page.debug.flushAnalytics();
+
+        assert.equal(page.collector.batches.length, 0);
+        assert.equal(page.window.localStorage.getItem('pritma_analytics'), null);
+    } finally {
+        page.close();
+    }
+});
+
+test('events go out in batches and leave the queue once acknowledged', async () => {
+    const page = await loadWithCollector();
+    try {
+        acceptConsent(page);
+        await page.debug.flushAnalytics();
+        page.collector.batches.length = 0;
+
+        const { batchSize } = page.debug.config.analytics;
+        track(page, batchSize - 1);
+        assert.equal(page.collector.batches.length, 0, 'waits for a full batch');
+
+        track(page, 1);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.equal(page.collector.batches.length, 1);
+        assert.equal(page.collector.batches[0].length, batchSize);
+        assert.deepEqual(queuedIds(page), []);
+    } finally {
+        page.close();
+    }
+});
+
+test('a failed delivery keeps the batch and resends it under the same ids', async () => {
+    const page = await loadWithCollector();
+    try {
+        acceptConsent(page);
+        page.collector.status = 503;
+        await page.debug.flushAnalytics();
+        const queued = queuedIds(page);
+        assert.ok(queued.length > 0);
+
+        page.collector.status = 202;
+        await page.debug.flushAnalytics();
+
+        const [failed, resent] = page.collector.batches;
+        assert.deepEqual(resent.map(event => event.id), failed.map(event => event.id));
+        assert.deepEqual(queuedIds(page), []);
+    } finally {
+        page.close();
+    }
+});
+
+test('hiding the page beacons everything still queued', async () => {
+    const page = await loadWithCollector();
+    try {
+        acceptConsent(page);
+        page.collector.status = 503;
+        track(page, 45);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.ok(queuedIds(page).length > page.debug.config.analytics.batchSize);
+
+        page.collector.acceptBeacons = false;
+        page.window.dispatchEvent(new page.window.Event('pagehide'));
+        assert.equal(page.collector.beacons, 1);
+        assert.ok(queuedIds(page).length > 0, 'refused beacons stay queued');
+
+        page.collector.acceptBeacons = true;
+        page.window.dispatchEvent(new page.window.Event('pagehide'));
+        assert.equal(page.collector.beacons, 2, 'one beacon for the whole queue');
+        assert.deepEqual(queuedIds(page), []);
+    } finally {
+        page.close();
+    }
+});
+
+test('the stored queue keeps only the newest events', async () => {
+    const page = await loadWithCollector();
+    try {
+        acceptConsent(page);
+        page.collector.status = 503;
+        const { maxStoredEvents } = page.debug.config.analytics;
+        track(page, maxStoredEvents + 10);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const stored = page.debug.getAnalytics();
+        assert.equal(stored.length, maxStoredEvents);
+        assert.equal(stored.at(-1).data.index, maxStoredEvents + 9);
+        assert.equal(stored[0].data.index, 10);
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+// Bot protection on the waitlist form: the proof-of-work stamp, the
+// honeypot, per-browser throttling and the captcha escalation for
+// suspicious submissions.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const vm = require('node:vm');
+const { loadPage } = require('./helpers/load-page');
+
+const VALUES = {
+    email: 'ada@ncdc.gov.ng',
+    orgType: 'moh',
+    myth: 'Bitter leaf water cures typhoid in three days'
+};
+
+// jsdom has no Worker, Blob URLs or SubtleCrypto. This runs the page's
+// worker source in a vm context with Node's webcrypto instead.
+function installWorker(window) {
+    const blobs = new Map();
+    window.URL.createObjectURL = blob => {
+        const url = `blob:http://localhost/${crypto.randomUUID()}`;
+        blobs.set(url, blob);
+        return url;
+    };
+    window.URL.revokeObjectURL = url => blobs.delete(url);
+    Object.defineProperty(window.crypto, 'subtle', { value: crypto.webcrypto.subtle });
+
+    window.Worker = class {
+        constructor(url) {
+            this.source = new Promise(resolve => {
+                const reader = new window.FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.readAsText(blobs.get(url));
+            });
+        }
+
+        async postMessage(data) {
+            const self = { postMessage: message => this.onmessage({ data: message }) };
+            vm.runInNewContext(await this.source, { self, TextEncoder, crypto: crypto.webcrypto });
+            self.onmessage({ data });
+        }
+
+        terminate() {}
+    };
+}
+
+async function waitFor(predicate, timeout = 10000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the submission');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function verdicts(page, layer) {
+    return page.events
+        .filter(({ event, data }) => event === 'bot_check' && data.layer === layer)
+        .map(({ data }) => data.verdict);
+}
+
+// Types the form in (a focus and keystroke per field) and submits it
+function fillAndSubmit(page, values = VALUES) {
+    const { document, window } = page;
+    for (const [name, value] of Object.entries(values)) {
+        const element = document.getElementById(name);
+        element.dispatchEvent(new window.FocusEvent('focusin', { bubbles: true }));
+        element.dispatchEvent(new window.KeyboardEvent('keydown', { bubbles: true }));
+        element.value = value;
+        element.dispatchEvent(new window.Event('change', { bubbles: true }));
+    }
+    document.getElementById('waitlistForm').requestSubmit();
+}
+
+test('submissions carry a proof-of-work stamp the server can verify', async () => {
+    const page = await loadPage({ beforeParse: installWorker });
+    try {
+        fillAndSubmit(page);
+        await waitFor(() => page.debug.getSubmissions().length === 1);
+
+        const { challenge, difficulty, nonce, hash } = page.debug.getSubmissions()[0].botProtection.proofOfWork;
+        const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+
+        assert.equal(difficulty, page.debug.config.botProtection.proofOfWork.difficulty);
+        assert.equal(hash, digest.toString('hex'));
+        assert.ok(BigInt(`0x${hash}`) >> BigInt(256 - difficulty) === 0n, `${difficulty} leading zero bits`);
+        assert.deepEqual(verdicts(page, 'proofOfWork'), ['pass']);
+    } finally {
+        page.close();
+    }
+});
+
+test('without worker support the submission goes through without a stamp', async () => {
+    const page = await loadPage();
+    try {
+        fillAndSubmit(page);
+        await waitFor(() => page.debug.getSubmissions().length === 1);
+
+        assert.equal(page.debug.getSubmissions()[0].botProtection.proofOfWork, null);
+        assert.deepEqual(verdicts(page, 'proofOfWork'), ['unsupported']);
+    } finally {
+        page.close();
+    }
+});
+
+test('a filled honeypot drops the submission silently', async () => {
+    const page = await loadPage();
+    try {
+        page.document.getElementById('website').value = 'https://spam.example';
+        fillAndSubmit(page);
+        await waitFor(() => page.events.some(({ event }) => event === 'bot_detected'));
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        assert.deepEqual(verdicts(page, 'honeypot'), ['fail']);
+        assert.equal(page.document.getElementById('formStatus').textContent, '');
+        assert.ok(!page.events.some(({ event }) => event === 'form_submission_started'));
+    } finally {
+        page.close();
+    }
+});
+
+test('too many recent attempts from this browser are throttled', async () => {
+    const now = Date.now();
+    const page = await loadPage({
+        storage: { pritma_submit_attempts: [5, 4, 3, 2, 1].map(minutes => now - minutes * 60 * 1000) }
+    });
+    try {
+        fillAndSubmit(page);
+        const status = page.document.getElementById('formStatus');
+        await waitFor(() => status.textContent !== '');
+
+        assert.equal(status.textContent, 'Too many signup attempts from this browser. Please try again in 5 min.');
+        assert.deepEqual(verdicts(page, 'throttle'), ['fail']);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(page.debug.getSubmissions().length, 0);
+    } finally {
+        page.close();
+    }
+});
+
+test('suspicious submissions escalate to the captcha, which can block them', async () => {
+    const page = await loadPage();
+    try {
+        page.window.registerCaptchaProvider({ name: 'test', execute: async () => null });
+
+        // Submitted without any interaction, so timing and interaction fail
+        for (const [name, value] of Object.entries(VALUES)) {
+            page.document.getElementById(name).value = value;
+        }
+        page.document.getElementById('waitlistForm').requestSubmit();
+        const status = page.document.getElementById('formStatus');
+        await waitFor(() => status.textContent !== '');
+
+        assert.deepEqual(verdicts(page, 'timing'), ['fail']);
+        assert.deepEqual(verdicts(page, 'interaction'), ['fail']);
+        assert.deepEqual(verdicts(page, 'captcha'), ['fail']);
+        assert.equal(status.textContent, 'We couldn\'t complete the security check. Please try again.');
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+// The .ics export: RFC 5545 line endings, folding and escaping, and event
+// times given as Africa/Lagos wall-clock time.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+const START = Date.parse('2026-12-01T09:00:00+01:00');
+const NOW = Date.parse('2026-10-19T12:34:56Z');
+
+let page;
+let ics;
+
+before(async () => {
+    page = await loadPage({
+        beforeParse: window => {
+            window.Date.now = () => NOW;
+        }
+    });
+    ics = page.debug.buildIcsFile({
+        uid: 'public-launch@pritma.health',
+        start: START,
+        end: START + 60 * 60 * 1000,
+        summary: 'PRITMA Health: Public launch; Lagos, Abuja',
+        description: 'Ìfilọ́lẹ̀ PRITMA Health fún gbogbo ilé ìwòsàn ní Èkó àti Àbújá. Ẹ darapọ̀ mọ́ wa 🩺🩺🩺.\n\nhttps://pritma.health/ \\ more'
+    });
+});
+
+after(() => page.close());
+
+// Physical lines with their CRLF removed
+function physicalLines() {
+    assert.ok(ics.endsWith('\r\n'));
+    return ics.slice(0, -2).split('\r\n');
+}
+
+// Content lines after unfolding (RFC 5545 3.1)
+function contentLines() {
+    return ics.replace(/\r\n /g, '').slice(0, -2).split('\r\n');
+}
+
+// A property of the VEVENT (the VTIMEZONE has its own DTSTART)
+function property(name) {
+    const lines = contentLines();
+    return lines.slice(lines.indexOf('BEGIN:VEVENT'))
+        .find(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+}
+
+test('every line ends in CRLF', () => {
+    assert.equal(ics.replace(/\r\n/g, '').includes('\n'), false);
+    assert.equal(ics.replace(/\r\n/g, '').includes('\r'), false);
+});
+
+test('no line is longer than 75 octets and long lines are folded', () => {
+    const lines = physicalLines();
+    for (const line of lines) {
+        assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `${Buffer.byteLength(line, 'utf8')} octets: ${line}`);
+    }
+    assert.ok(lines.some(line => line.startsWith(' ')), 'the description is long enough to fold');
+});
+
+test('folding keeps multi-byte characters whole and unfolds to the original', () => {
+    for (const line of physicalLines()) {
+        // A split surrogate pair would not survive the round trip
+        assert.equal(Buffer.from(line, 'utf8').toString('utf8'), line);
+    }
+    assert.equal(
+        property('DESCRIPTION'),
+        'DESCRIPTION:Ìfilọ́lẹ̀ PRITMA Health fún gbogbo ilé ìwòsàn ní Èkó àti Àbújá. Ẹ darapọ̀ mọ́ wa 🩺🩺🩺.\\n\\nhttps://pritma.health/ \\\\ more'
+    );
+});
+
+test('text values escape commas, semicolons, backslashes and newlines', () => {
+    assert.equal(property('SUMMARY'), 'SUMMARY:PRITMA Health: Public launch\\; Lagos\\, Abuja');
+});
+
+test('event times are Lagos wall-clock time with a matching VTIMEZONE', () => {
+    assert.equal(property('DTSTART'), 'DTSTART;TZID=Africa/Lagos:20261201T090000');
+    assert.equal(property('DTEND'), 'DTEND;TZID=Africa/Lagos:20261201T100000');
+    assert.equal(property('DTSTAMP'), 'DTSTAMP:20261019T123456Z');
+
+    const lines = contentLines();
+    const timezone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+    assert.ok(timezone.includes('TZID:Africa/Lagos'));
+    assert.ok(timezone.includes('TZOFFSETFROM:+0100'));
+    assert.ok(timezone.includes('TZOFFSETTO:+0100'));
+    assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'), 'defined before use');
+});
+
+test('reminders fire a day and an hour before the start', () => {
+    const triggers = contentLines().filter(line => line.startsWith('TRIGGER:'));
+    assert.deepEqual(triggers, ['TRIGGER:-P1D', 'TRIGGER:-PT1H']);
+    assert.equal(contentLines().filter(line => line === 'BEGIN:VALARM').length, 2);
+});
+
+test('components are balanced and the calendar is wrapped in VCALENDAR', () => {
+    const lines = contentLines();
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.equal(lines[1], 'VERSION:2.0');
+    assert.equal(lines.at(-1), 'END:VCALENDAR');
+
+    const open = [];
+    for (const line of lines) {
+        if (line.startsWith('BEGIN:')) open.push(line.slice(6));
+        if (line.startsWith('END:')) assert.equal(open.pop(), line.slice(4));
+    }
+    assert.deepEqual(open, []);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+// Consent categories: what is kept on the device, and what withdrawing
+// consent removes.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+const FUNCTIONAL_KEYS = ['pritma_locale', 'pritma_motion', 'pritma_waitlist_draft'];
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => page.close());
+
+function clickConsent(action) {
+    page.document.querySelector(`[data-consent-action="${action}"]`).click();
+}
+
+function saveChoices({ analytics, functional }) {
+    const { window, document } = page;
+    window.openConsentSettings();
+    document.getElementById('consentAnalytics').checked = analytics;
+    document.getElementById('consentFunctional').checked = functional;
+    clickConsent('save');
+}
+
+function storeFunctionalData() {
+    const { localStorage } = page.window;
+    localStorage.setItem('pritma_locale', 'ha');
+    localStorage.setItem('pritma_motion', 'reduced');
+    localStorage.setItem('pritma_waitlist_draft', JSON.stringify({ values: { name: 'Ada' } }));
+}
+
+test('the analytics salt is only stored once analytics consent is given', () => {
+    const { window, debug } = page;
+    debug.trackEvent('referral_shared', { referralCode: 'ABCD-EFGH-J' });
+    assert.equal(window.localStorage.getItem('pritma_analytics_salt'), null);
+
+    clickConsent('accept');
+    assert.ok(window.localStorage.getItem('pritma_analytics_salt'));
+});
+
+test('withdrawing functional consent moves preferences and the draft to this tab', () => {
+    const { localStorage, sessionStorage } = page.window;
+    clickConsent('accept');
+    storeFunctionalData();
+
+    saveChoices({ analytics: true, functional: false });
+
+    for (const key of FUNCTIONAL_KEYS) {
+        assert.equal(localStorage.getItem(key), null, `${key} is gone from localStorage`);
+    }
+    assert.equal(sessionStorage.getItem('pritma_locale'), 'ha');
+    assert.equal(sessionStorage.getItem('pritma_motion'), 'reduced');
+    assert.deepEqual(JSON.parse(sessionStorage.getItem('pritma_waitlist_draft')), { values: { name: 'Ada' } });
+    assert.ok(localStorage.getItem('pritma_analytics'), 'analytics data is kept');
+});
+
+test('rejecting optional storage takes analytics and functional data off the device', () => {
+    const { localStorage } = page.window;
+    clickConsent('accept');
+    storeFunctionalData();
+
+    page.window.openConsentSettings();
+    clickConsent('reject');
+
+    for (const key of [...FUNCTIONAL_KEYS, 'pritma_analytics', 'pritma_analytics_salt']) {
+        assert.equal(localStorage.getItem(key), null, key);
+    }
+});
+
+test('keeping functional consent leaves its data alone', () => {
+    const { localStorage } = page.window;
+    clickConsent('accept');
+    storeFunctionalData();
+
+    saveChoices({ analytics: false, functional: true });
+
+    for (const key of FUNCTIONAL_KEYS) {
+        assert.notEqual(localStorage.getItem(key), null, key);
+    }
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+// The launch countdown: time left to the next milestone, the live state
+// once one passes, and the backend's milestone list replacing the
+// configured one. The page runs on a fake clock.
+
+// Visitors outside WAT see their own time too; pin ours
+process.env.TZ = 'UTC';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, ROOT } = require('./helpers/load-page');
+
+// How long the mock backend takes to answer with its milestone list
+const { delayMs } = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'milestones', 'default.json'), 'utf8'));
+
+const SENTINEL_BETA = Date.parse('2026-03-01T00:00:00+01:00');
+const PUBLIC_LAUNCH = Date.parse('2026-12-01T09:00:00+01:00');
+const IBADAN_ENUGU = Date.parse('2027-04-05T09:00:00+01:00');
+
+// Page with Date.now() under the test's control through clock.now
+async function loadAt(now) {
+    const clock = { now };
+    const page = await loadPage({
+        beforeParse: window => {
+            window.Date.now = () => clock.now;
+        }
+    });
+    return { ...page, clock };
+}
+
+async function waitFor(predicate, timeout = 3000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the countdown');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function text(page, id) {
+    return page.document.getElementById(id).textContent;
+}
+
+test('counts down to the first milestone before any has passed', async () => {
+    const offset = ((1 * 24 + 2) * 60 + 3) * 60 * 1000 + 4000;
+    const page = await loadAt(SENTINEL_BETA - offset);
+    try {
+        assert.equal(text(page, 'countdown-title'), 'Days Until Sentinel Beta in Lagos & Kano');
+        assert.deepEqual(['days', 'hours', 'minutes', 'seconds'].map(id => text(page, id)), ['01', '02', '03', '04']);
+        assert.equal(page.document.getElementById('countdownStatus').hidden, true);
+        assert.equal(page.document.getElementById('heroCta').dataset.i18n, 'hero.ctaPrimary');
+    } finally {
+        page.close();
+    }
+});
+
+test('shows the target in WAT and in the visitor\'s own time', async () => {
+    const page = await loadAt(SENTINEL_BETA + 1000);
+    try {
+        assert.equal(text(page, 'countdownTarget'), 'Tue, Dec 1, 2026, 09:00 AM WAT (Tue, Dec 1, 2026, 08:00 AM UTC your time)');
+    } finally {
+        page.close();
+    }
+});
+
+test('switches to the live state when a milestone passes', async () => {
+    const page = await loadAt(SENTINEL_BETA - 2000);
+    try {
+        // Let the backend list load first so the tick sees the milestone pass
+        await new Promise(resolve => setTimeout(resolve, delayMs + 200));
+        page.clock.now = SENTINEL_BETA + 1000;
+        await waitFor(() => !page.document.getElementById('countdownStatus').hidden);
+
+        assert.equal(text(page, 'countdownStatus'), 'We\'re live: Sentinel Beta in Lagos & Kano');
+        assert.equal(text(page, 'countdown-title'), 'Days Until Public Launch Across Nigeria');
+        assert.equal(text(page, 'heroCta'), 'Get PRITMA for My Institution');
+        assert.deepEqual(
+            page.events.filter(({ event }) => event === 'milestone_reached').map(({ data }) => data.milestone),
+            ['sentinel-beta']
+        );
+    } finally {
+        page.close();
+    }
+});
+
+test('the backend list replaces the configured milestones', async () => {
+    // After the last configured milestone; the fixture has one more
+    const page = await loadAt(IBADAN_ENUGU - 60 * 60 * 1000);
+    try {
+        await waitFor(() => text(page, 'countdown-title') !== 'PRITMA Sentinel Is Live Across Nigeria');
+
+        assert.equal(text(page, 'countdown-title'), 'Days Until Rollout in Ibadan & Enugu');
+        assert.equal(text(page, 'countdownStatus'), 'We\'re live: Rollout in Abuja & Port Harcourt');
+        assert.equal(page.document.getElementById('countdownTimer').hidden, false);
+    } finally {
+        page.close();
+    }
+});
+
+test('after the last milestone only the live state is left', async () => {
+    const page = await loadAt(IBADAN_ENUGU + 1000);
+    try {
+        await waitFor(() => text(page, 'countdownStatus').includes('Ibadan'));
+
+        assert.equal(text(page, 'countdown-title'), 'PRITMA Sentinel Is Live Across Nigeria');
+        assert.equal(page.document.getElementById('countdownTimer').hidden, true);
+        assert.equal(page.document.getElementById('countdownTarget').hidden, true);
+        page.document.querySelectorAll('.calendar-links').forEach(links => assert.equal(links.hidden, true));
+    } finally {
+        page.close();
+    }
+});
+
+test('the timer stops while the tab is hidden', async () => {
+    const page = await loadAt(PUBLIC_LAUNCH - 10 * 1000);
+    try {
+        const { document, window } = page;
+        Object.defineProperty(document, 'hidden', { configurable: true, get: () => true });
+        document.dispatchEvent(new window.Event('visibilitychange'));
+
+        page.clock.now = PUBLIC_LAUNCH - 5 * 1000;
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        assert.equal(text(page, 'seconds'), '10');
+
+        Object.defineProperty(document, 'hidden', { configurable: true, get: () => false });
+        document.dispatchEvent(new window.Event('visibilitychange'));
+        assert.equal(text(page, 'seconds'), '05');
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+// Accessibility checks for the success modal (DIALOGS in script.js):
+// focus trap, inert background, focus return and stray Escape presses.
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+const { loadPage } = require('./helpers/load-page');
+
+let page = null;
+
+// A returning visitor, so "My spot" opens the modal. Not a local host, so
+// mock mode is off and the page uses its bundled data.
+async function loadReturningVisitor() {
+    page = await loadPage({
+        url: 'https://pritma.test/',
+        storage: {
+            pritma_submissions: [{ referralCode: 'PRT-ABC123', queuePosition: 42, timestamp: Date.now() }]
+        }
+    });
+    return page;
+}
+
+function pressKey(document, key, { shiftKey = false } = {}) {
+    const target = document.activeElement || document.body;
+    target.dispatchEvent(new document.defaultView.KeyboardEvent('keydown', {
+        key, shiftKey, bubbles: true, cancelable: true
+    }));
+}
+
+function openModalFromMySpot({ window, document }) {
+    const opener = document.getElementById('mySpotBtn');
+    assert.equal(opener.hidden, false, 'returning visitors get the My spot button');
+    opener.focus();
+    window.openMySpot();
+    return { opener, modal: document.getElementById('successModal') };
+}
+
+afterEach(() => {
+    if (page) {
+        page.close();
+        page = null;
+    }
+});
+
+test('Tab and Shift+Tab wrap around inside the open modal', async () => {
+    const { document } = await loadReturningVisitor();
+    const { modal } = openModalFromMySpot(page);
+    const first = modal.querySelector('.modal-close');
+    const last = modal.querySelector('.modal-done-btn');
+
+    assert.equal(document.activeElement, first, 'focus starts on the first control');
+
+    pressKey(document, 'Tab', { shiftKey: true });
+    assert.equal(document.activeElement, last, 'Shift+Tab from the first control wraps to the last');
+
+    pressKey(document, 'Tab');
+    assert.equal(document.activeElement, first, 'Tab from the last control wraps to the first');
+});
+
+test('the rest of the page is inert while the modal is open', async () => {
+    const { document } = await loadReturningVisitor();
+    const { modal } = openModalFromMySpot(page);
+
+    for (const child of document.body.children) {
+        if (child === modal || child.tagName === 'SCRIPT') continue;
+
+        // Live regions stay reachable so toasts are still announced
+        const expected = !child.hasAttribute('aria-live');
+        assert.equal(child.hasAttribute('inert'), expected, `inert on <${child.tagName.toLowerCase()}${child.id ? '#' + child.id : ''}>`);
+    }
+    assert.equal(modal.hasAttribute('inert'), false);
+
+    page.window.closeModal();
+    assert.deepEqual([...document.querySelectorAll('[inert]')], [], 'inert is removed on close');
+});
+
+test('closing the modal returns focus to the control that opened it', async () => {
+    const { window, document } = await loadReturningVisitor();
+
+    let { opener } = openModalFromMySpot(page);
+    window.closeModal();
+    assert.equal(document.activeElement, opener, 'after the close button');
+
+    ({ opener } = openModalFromMySpot(page));
+    pressKey(document, 'Escape');
+    assert.equal(document.activeElement, opener, 'after Escape');
+
+    const closes = page.events.filter(entry => entry.event === 'modal_closed').map(entry => entry.data.reason);
+    assert.deepEqual(closes, ['button', 'escape']);
+});
+
+test('Escape does nothing when no dialog is open', async () => {
+    const { document } = await loadReturningVisitor();
+    const input = document.getElementById('email');
+    input.focus();
+
+    pressKey(document, 'Escape');
+
+    assert.equal(document.activeElement, input);
+    assert.equal(document.body.classList.contains('dialog-open'), false);
+    assert.deepEqual(page.events.filter(entry => entry.event === 'modal_closed'), []);
+});
+
+test('the open modal has no axe violations', async () => {
+    const { window, document } = await loadReturningVisitor();
+    const { modal } = openModalFromMySpot(page);
+
+    window.eval(axe.source);
+    const results = await window.axe.run(modal, {
+        // jsdom does no layout, so contrast can't be measured
+        rules: { 'color-contrast': { enabled: false } }
+    });
+
+    // Array.from: axe's results come from the jsdom window's realm
+    const violations = Array.from(results.violations, violation =>
+        `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+    assert.deepEqual(violations, []);
+    assert.equal(document.activeElement.closest('#successModal'), modal);
+});
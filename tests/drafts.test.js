@@ -0,0 +1,146 @@
+'use strict';
+
+// Waitlist form drafts: what gets saved and where, the restore prompt, and
+// expiry. Without functional consent drafts live in sessionStorage.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+const KEY = 'pritma_waitlist_draft';
+const HOUR = 60 * 60 * 1000;
+const SAVED_AT = Date.parse('2026-10-19T10:00:00Z');
+
+const VALUES = {
+    email: 'ada@luth.gov.ng',
+    orgType: 'hospital',
+    facilityName: 'LUTH',
+    myth: 'Bitter leaf water cures typhoid in three days'
+};
+
+function draftSavedAt(time, values = VALUES) {
+    return {
+        savedAt: new Date(time).toISOString(),
+        expiresAt: new Date(time + 24 * HOUR).toISOString(),
+        values
+    };
+}
+
+// Page whose sessionStorage holds draft (if any), with Date.now() at now
+function loadWithDraft(draft, now) {
+    return loadPage({
+        beforeParse: window => {
+            window.Date.now = () => now;
+            if (draft) {
+                window.sessionStorage.setItem(KEY, JSON.stringify(draft));
+            }
+        }
+    });
+}
+
+function eventNames(page) {
+    return page.events.map(({ event }) => event);
+}
+
+test('leaving the page saves the schema fields for 24 hours, never the honeypot', async () => {
+    const page = await loadWithDraft(null, SAVED_AT);
+    try {
+        const { document, window } = page;
+        document.getElementById('email').value = VALUES.email;
+        document.getElementById('myth').value = VALUES.myth;
+        document.getElementById('website').value = 'https://spam.example';
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.equal(window.localStorage.getItem(KEY), null, 'no functional consent');
+        assert.deepEqual(JSON.parse(window.sessionStorage.getItem(KEY)), draftSavedAt(SAVED_AT, {
+            email: VALUES.email,
+            myth: VALUES.myth
+        }));
+    } finally {
+        page.close();
+    }
+});
+
+test('an empty form clears the saved draft', async () => {
+    const page = await loadWithDraft(null, SAVED_AT);
+    try {
+        const { document, window } = page;
+        document.getElementById('email').value = VALUES.email;
+        window.dispatchEvent(new window.Event('pagehide'));
+        document.getElementById('email').value = '';
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.equal(window.sessionStorage.getItem(KEY), null);
+    } finally {
+        page.close();
+    }
+});
+
+test('a saved draft is offered and restores every field', async () => {
+    const page = await loadWithDraft(draftSavedAt(SAVED_AT), SAVED_AT + HOUR);
+    try {
+        const { document, window } = page;
+        const prompt = document.getElementById('draftPrompt');
+        assert.equal(prompt.hidden, false);
+        assert.match(prompt.querySelector('.draft-prompt-text').textContent, /^You have an unsent draft from /);
+        assert.equal(document.getElementById('email').value, '', 'nothing is filled in before the user agrees');
+
+        window.restoreDraft();
+
+        assert.equal(prompt.hidden, true);
+        for (const [name, value] of Object.entries(VALUES)) {
+            assert.equal(document.getElementById(name).value, value, name);
+        }
+        assert.equal(document.getElementById('facilityNameGroup').hidden, false, 'visibility follows orgType');
+        assert.deepEqual(
+            eventNames(page).filter(name => name.startsWith('draft_')),
+            ['draft_prompt_shown', 'draft_restored']
+        );
+    } finally {
+        page.close();
+    }
+});
+
+test('discarding a draft removes it', async () => {
+    const page = await loadWithDraft(draftSavedAt(SAVED_AT), SAVED_AT + HOUR);
+    try {
+        page.window.discardDraft();
+
+        assert.equal(page.document.getElementById('draftPrompt').hidden, true);
+        assert.equal(page.window.sessionStorage.getItem(KEY), null);
+        assert.equal(page.document.getElementById('email').value, '');
+    } finally {
+        page.close();
+    }
+});
+
+test('the pending draft is kept until the user chooses, unless they start typing', async () => {
+    const page = await loadWithDraft(draftSavedAt(SAVED_AT), SAVED_AT + HOUR);
+    try {
+        const { document, window } = page;
+        window.dispatchEvent(new window.Event('pagehide'));
+        assert.deepEqual(JSON.parse(window.sessionStorage.getItem(KEY)).values, VALUES);
+
+        const email = document.getElementById('email');
+        email.value = 'new@unilag.edu.ng';
+        email.dispatchEvent(new window.Event('input', { bubbles: true }));
+        assert.equal(document.getElementById('draftPrompt').hidden, true);
+        assert.ok(eventNames(page).includes('draft_discarded'));
+
+        window.dispatchEvent(new window.Event('pagehide'));
+        assert.deepEqual(JSON.parse(window.sessionStorage.getItem(KEY)).values, { email: 'new@unilag.edu.ng' });
+    } finally {
+        page.close();
+    }
+});
+
+test('an expired draft is dropped without a prompt', async () => {
+    const page = await loadWithDraft(draftSavedAt(SAVED_AT), SAVED_AT + 25 * HOUR);
+    try {
+        assert.equal(page.document.getElementById('draftPrompt').hidden, true);
+        assert.equal(page.window.sessionStorage.getItem(KEY), null);
+        assert.ok(!eventNames(page).includes('draft_prompt_shown'));
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+// Near-duplicate detection: shingle containment against tracked myths and
+// the user's earlier submissions.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, ROOT } = require('./helpers/load-page');
+
+const [tracked] = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'myths', 'feed.json'), 'utf8')).body.myths;
+
+let page;
+
+// One current tracked myth (bitter leaf cures typhoid) from a fresh cached
+// feed, and one earlier submission
+before(async () => {
+    page = await loadPage({
+        storage: {
+            pritma_myth_feed: {
+                version: 1,
+                etag: '"test"',
+                fetchedAt: Date.now(),
+                myths: [{ ...tracked, firstSeen: new Date().toISOString() }]
+            },
+            pritma_submissions: [
+                { myth: 'Rubbing engine oil on a burn makes it heal faster and stops scarring', timestamp: 1234 },
+                { myth: tracked.content, timestamp: 5678 }
+            ]
+        }
+    });
+});
+
+after(() => page.close());
+
+function find(text) {
+    const match = page.debug.findDuplicateMyth(text);
+    return match && { ...match };
+}
+
+test('a shorter retelling of a tracked myth matches it', () => {
+    const match = find('Drinking bitter leaf water for three days cures typhoid');
+    assert.equal(match.source, 'tracked');
+    assert.equal(match.id, tracked.id);
+    assert.equal(match.similarity, 1);
+});
+
+test('filler words and word forms do not affect the match', () => {
+    const plain = find('bitter leaf water cure typhoid');
+    const padded = find('Someone told me that bitter leaf water cures typhoid');
+    assert.equal(plain.id, tracked.id);
+    assert.equal(padded.id, tracked.id);
+    assert.ok(padded.similarity >= 0.5);
+});
+
+test('a paraphrase of an earlier submission matches the submission', () => {
+    assert.deepEqual(find('Engine oil on burns makes them heal faster'), {
+        source: 'submission', id: 1234, title: undefined, similarity: 0.77
+    });
+});
+
+test('tracked myths win ties with earlier submissions', () => {
+    assert.equal(find(tracked.content).source, 'tracked');
+});
+
+test('unrelated or too-short text does not match', () => {
+    assert.equal(find('Vaccines are given free at the clinic on Mondays'), null);
+    assert.equal(find('bitter leaf'), null, 'below minShingles');
+    assert.equal(find(''), null);
+});
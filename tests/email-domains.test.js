@@ -0,0 +1,94 @@
+'use strict';
+
+// The email domain classifier: consumer, disposable and institutional
+// domains, typo suggestions, and the orgType it fills in on the form.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+let classify;
+
+before(async () => {
+    page = await loadPage();
+    classify = email => ({ ...page.debug.classifyEmail(email) });
+});
+
+after(() => page.close());
+
+test('listed domains and their subdomains are sorted by list', () => {
+    assert.equal(classify('ada@gmail.com').type, 'consumer');
+    assert.equal(classify('ada@mail.yahoo.co.uk').type, 'consumer');
+    assert.equal(classify('ada@mailinator.com').type, 'disposable');
+    assert.equal(classify('ada@eu.yopmail.com').type, 'disposable');
+});
+
+test('addresses are trimmed and lower-cased before matching', () => {
+    assert.deepEqual(classify('  Ada@GMAIL.com '), {
+        domain: 'gmail.com', type: 'consumer', orgType: null, institution: null, suggestion: null
+    });
+});
+
+test('a known institution wins over its suffix', () => {
+    assert.deepEqual(classify('ada@records.luth.gov.ng'), {
+        domain: 'records.luth.gov.ng',
+        type: 'institutional',
+        orgType: 'hospital',
+        institution: 'Lagos University Teaching Hospital',
+        suggestion: null
+    });
+});
+
+test('an unlisted domain under an institutional suffix takes its orgType', () => {
+    assert.deepEqual(classify('ada@lagosstate.gov.ng'), {
+        domain: 'lagosstate.gov.ng', type: 'institutional', orgType: 'moh', institution: null, suggestion: null
+    });
+    assert.equal(classify('ada@unilag.edu.ng').orgType, 'academic');
+    assert.equal(classify('ada@ox.ac.uk').orgType, 'academic');
+});
+
+test('suffixes match whole labels only', () => {
+    assert.equal(classify('ada@mygov.ng').type, 'unknown');
+    assert.equal(classify('ada@print.com').type, 'unknown');
+});
+
+test('typos of well-known domains get a suggestion', () => {
+    assert.equal(classify('ada@gmial.com').suggestion, 'gmail.com');
+    assert.equal(classify('ada@hotmial.com').suggestion, 'hotmail.com');
+    assert.equal(classify('ada@ncdc.gov.mg').suggestion, 'ncdc.gov.ng');
+    assert.equal(classify('ada@yahooo.com').suggestion, 'yahoo.com');
+});
+
+test('short domains only get one-edit suggestions', () => {
+    assert.equal(classify('ada@me.co').suggestion, 'me.com');
+    assert.equal(classify('ada@gmai.co').suggestion, null, 'two edits, 7 characters');
+    assert.equal(classify('ada@gmaill.co').suggestion, 'gmail.com', 'two edits, 9 characters');
+    assert.equal(classify('ada@example.org').suggestion, null);
+});
+
+test('missing domains classify as unknown', () => {
+    assert.equal(classify('ada').type, 'unknown');
+    assert.equal(classify('ada@').domain, '');
+});
+
+test('leaving the email field fills in the inferred organization type', () => {
+    const { document, window } = page;
+    const email = document.getElementById('email');
+    const orgType = document.getElementById('orgType');
+    const notice = document.getElementById('emailNotice');
+
+    email.value = 'ada@luth.gov.ng';
+    email.dispatchEvent(new window.Event('blur'));
+    assert.equal(orgType.value, 'hospital');
+    assert.equal(document.getElementById('facilityName').value, 'Lagos University Teaching Hospital');
+    assert.equal(notice.hidden, false);
+    assert.ok(notice.classList.contains('institutional'));
+    assert.ok(page.events.some(({ event }) => event === 'org_type_inferred'));
+
+    // A choice the user made is left alone
+    orgType.value = 'pharmacy';
+    email.value = 'ada@unilag.edu.ng';
+    email.dispatchEvent(new window.Event('blur'));
+    assert.equal(orgType.value, 'pharmacy');
+});
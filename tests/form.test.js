@@ -0,0 +1,138 @@
+'use strict';
+
+// The schema-driven waitlist form: rules in order with the first failure
+// shown, conditional fields, and a payload of the visible fields only.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+const MYTH = 'Bitter leaf water cures typhoid in three days';
+
+async function waitFor(predicate, timeout = 5000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the form');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+function fill(page, values) {
+    const { document, window } = page;
+    for (const [name, value] of Object.entries(values)) {
+        const element = document.getElementById(name);
+        element.value = value;
+        element.dispatchEvent(new window.Event('change', { bubbles: true }));
+    }
+}
+
+function errorOf(page, group) {
+    const element = page.document.getElementById(group);
+    return element.classList.contains('error') ? element.querySelector('.error-message').textContent : null;
+}
+
+async function submit(page) {
+    page.document.getElementById('waitlistForm').requestSubmit();
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+test('an empty submit flags every visible field with its required message', async () => {
+    const page = await loadPage();
+    try {
+        await submit(page);
+        await waitFor(() => page.events.some(({ event }) => event === 'form_validation_failed'));
+
+        assert.equal(errorOf(page, 'emailGroup'), 'Email is required');
+        assert.equal(errorOf(page, 'orgTypeGroup'), 'Please select your organization type');
+        assert.equal(errorOf(page, 'mythGroup'), 'Please share a health myth you\'ve encountered');
+        assert.equal(errorOf(page, 'facilityNameGroup'), null, 'hidden until orgType is hospital');
+
+        const { data } = page.events.find(({ event }) => event === 'form_validation_failed');
+        assert.deepEqual([...data.errors], ['email', 'orgType', 'myth']);
+    } finally {
+        page.close();
+    }
+});
+
+test('the facility name is shown, enabled and required only for hospitals', async () => {
+    const page = await loadPage();
+    try {
+        const group = page.document.getElementById('facilityNameGroup');
+        const input = page.document.getElementById('facilityName');
+        assert.equal(group.hidden, true);
+        assert.equal(input.disabled, true);
+
+        fill(page, { orgType: 'hospital' });
+        assert.equal(group.hidden, false);
+        assert.equal(input.disabled, false);
+
+        fill(page, { email: 'ada@luth.gov.ng', myth: MYTH });
+        await submit(page);
+        await waitFor(() => errorOf(page, 'facilityNameGroup') !== null);
+        assert.equal(errorOf(page, 'facilityNameGroup'), 'Please enter the name of your hospital or clinic');
+
+        fill(page, { orgType: 'ngo' });
+        assert.equal(group.hidden, true);
+        assert.equal(errorOf(page, 'facilityNameGroup'), null, 'errors go with the field');
+    } finally {
+        page.close();
+    }
+});
+
+test('leaving a field shows the first rule it fails, with the rule\'s value', async () => {
+    const page = await loadPage();
+    try {
+        const { document, window } = page;
+        const blur = async (name, value) => {
+            const element = document.getElementById(name);
+            element.value = value;
+            element.dispatchEvent(new window.Event('blur'));
+            await new Promise(resolve => setTimeout(resolve, 0));
+        };
+
+        await blur('myth', 'garlic');
+        assert.equal(errorOf(page, 'mythGroup'), 'Please provide more detail (at least 20 characters)');
+
+        await blur('myth', 'x'.repeat(1001));
+        assert.equal(errorOf(page, 'mythGroup'), 'Please keep it under 1000 characters');
+
+        await blur('email', 'a@b');
+        assert.equal(errorOf(page, 'emailGroup'), 'Email is too short');
+
+        await blur('email', 'ada@mailinator.com');
+        assert.match(errorOf(page, 'emailGroup'), /^Please use a permanent email address/);
+
+        await blur('email', '  Ada@LUTH.gov.ng ');
+        assert.equal(errorOf(page, 'emailGroup'), null, 'checked after trimming and lower-casing');
+
+        await blur('myth', '');
+        assert.equal(errorOf(page, 'mythGroup'), null, 'an emptied field is not nagged about');
+    } finally {
+        page.close();
+    }
+});
+
+test('a valid submit sends the normalized visible fields only', async () => {
+    const page = await loadPage();
+    try {
+        fill(page, { orgType: 'hospital', facilityName: 'LUTH' });
+        fill(page, {
+            email: '  Ada@LUTH.gov.ng ',
+            orgType: 'pharmacy',
+            myth: `  ${MYTH}  `
+        });
+        await submit(page);
+        await waitFor(() => page.debug.getSubmissions().length === 1);
+
+        const [submission] = page.debug.getSubmissions();
+        assert.equal(submission.email, 'ada@luth.gov.ng');
+        assert.equal(submission.orgType, 'pharmacy');
+        assert.equal(submission.myth, MYTH);
+        assert.equal('facilityName' in submission, false, 'hidden fields are left out');
+        assert.equal('website' in submission, false);
+    } finally {
+        page.close();
+    }
+});
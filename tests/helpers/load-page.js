@@ -0,0 +1,86 @@
+'use strict';
+
+// Boots index.html + script.js in jsdom. Requests to the page's own origin
+// are answered from the repo (fixtures/, locales/); every other fetch fails,
+// so the page falls back to its bundled data. On a local host (the default)
+// mock mode is on and window.PRITMA_DEBUG exposes the internals under test.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    .replace('<script src="script.js" defer></script>', '');
+const script = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+
+// options.url: page URL (a non-local host turns mock mode and PRITMA_DEBUG off)
+// options.storage: localStorage entries to seed; objects are stored as JSON
+// options.beforeParse(window): extra stubs to install before the script runs
+async function loadPage({ url = 'http://localhost/', storage = {}, beforeParse = null } = {}) {
+    const events = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('log', (message, data) => {
+        const match = /^\[PRITMA Analytics\] (\S+):$/.exec(message);
+        if (match) {
+            events.push({ event: match[1], data });
+        }
+    });
+
+    const dom = new JSDOM(html, {
+        url,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = async (resource) => {
+                const target = new URL(resource, url);
+                const file = path.join(ROOT, decodeURIComponent(target.pathname));
+                if (target.origin !== new URL(url).origin || !file.startsWith(ROOT) || !fs.existsSync(file)) {
+                    throw new TypeError('Failed to fetch');
+                }
+                return new Response(fs.readFileSync(file), {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            };
+            window.Response = Response;
+            window.TextEncoder = TextEncoder;
+            window.IntersectionObserver = class {
+                observe() {}
+                unobserve() {}
+                disconnect() {}
+            };
+            window.matchMedia = () => ({ matches: false, addEventListener() {}, addListener() {} });
+            window.scrollTo = () => {};
+            window.HTMLElement.prototype.scrollIntoView = function() {};
+            window.performance.getEntriesByType = () => [];
+
+            for (const [key, value] of Object.entries(storage)) {
+                window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+            }
+            if (beforeParse) {
+                beforeParse(window);
+            }
+        }
+    });
+
+    const { window } = dom;
+    const ready = new Promise(resolve => window.addEventListener('DOMContentLoaded', resolve));
+    const element = window.document.createElement('script');
+    element.textContent = script;
+    window.document.body.appendChild(element);
+    if (window.document.readyState === 'loading') {
+        await ready;
+    }
+
+    return {
+        window,
+        document: window.document,
+        debug: window.PRITMA_DEBUG,
+        events,
+        close: () => window.close()
+    };
+}
+
+module.exports = { loadPage, ROOT };
@@ -0,0 +1,33 @@
+'use strict';
+
+// Mock mode and the PRITMA_DEBUG hooks share one local-host check.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+const LOCAL = ['http://localhost/', 'http://127.0.0.1:8080/', 'http://[::1]/', 'http://pritma.localhost/'];
+const REMOTE = ['https://pritma.health/?mock=success', 'https://localhost.example.com/'];
+
+for (const url of LOCAL) {
+    test(`${url} gets mock mode and the debug hooks`, async () => {
+        const page = await loadPage({ url });
+        try {
+            assert.ok(page.debug, 'PRITMA_DEBUG is exposed');
+            assert.equal(page.debug.config.mock.enabled, true);
+        } finally {
+            page.close();
+        }
+    });
+}
+
+for (const url of REMOTE) {
+    test(`${url} gets neither mock mode nor the debug hooks`, async () => {
+        const page = await loadPage({ url });
+        try {
+            assert.equal(page.debug, undefined);
+        } finally {
+            page.close();
+        }
+    });
+}
@@ -0,0 +1,77 @@
+'use strict';
+
+// Message catalogs: every locale is complete, and the page follows the
+// chosen locale.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, ROOT } = require('./helpers/load-page');
+
+async function waitFor(condition, timeoutMs = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('the referral QR controls and printed poster are translated', async () => {
+    const page = await loadPage({ storage: { pritma_locale: 'ha' } });
+    try {
+        const { document } = page;
+        await waitFor(() => document.documentElement.lang === 'ha');
+
+        const text = selector => document.querySelector(selector).textContent.trim();
+        assert.equal(text('.qr-poster-title'), 'Jita-jitar lafiya na gudu fiye da magani.');
+        assert.equal(text('[onclick="printReferralQr()"]'), 'Buga Fosta');
+        assert.equal(text('[onclick="downloadReferralQr(\'png\')"]'), 'Sauke PNG');
+        assert.equal(document.getElementById('referralQr').getAttribute('aria-label'), 'Lambar QR ta mahaɗin gayyatarka');
+        assert.match(text('.qr-poster-subtitle'), /^Yi sikanin/);
+        assert.match(text('.qr-poster-footer'), /Najeriya$/);
+    } finally {
+        page.close();
+    }
+});
+
+test('every locale has every English message key, with the same placeholders', async () => {
+    const page = await loadPage();
+    const english = { ...page.debug.messages };
+    const locales = page.debug.config.i18n.supported.filter(locale => locale !== 'en');
+    page.close();
+
+    const placeholders = message => [...message.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+    for (const locale of locales) {
+        const { messages } = JSON.parse(fs.readFileSync(path.join(ROOT, 'locales', `${locale}.json`), 'utf8'));
+
+        const missing = Object.keys(english).filter(key => !(key in messages));
+        assert.deepEqual(missing, [], `${locale}.json is missing keys`);
+
+        for (const [key, message] of Object.entries(english)) {
+            assert.deepEqual(placeholders(messages[key]), placeholders(message), `${locale}: ${key}`);
+        }
+    }
+});
+
+test('the safety notice is shown in the user\'s language', async () => {
+    const page = await loadPage({ storage: { pritma_locale: 'yo' } });
+    try {
+        const { window, document } = page;
+        await waitFor(() => document.documentElement.lang === 'yo');
+
+        const myth = document.getElementById('myth');
+        myth.value = 'Stop taking your insulin, prayer alone will cure diabetes';
+        myth.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+        const notice = document.getElementById('mythSafetyNotice');
+        await waitFor(() => !notice.hidden);
+        assert.equal(notice.querySelector('.safety-notice-title').textContent, 'Dídá ìtọ́jú tí dókítà kọ sílẹ̀ dúró lè pani');
+        assert.match(notice.querySelector('.safety-notice-emergency').textContent, /^Bí ẹnìkan bá ti ṣe èyí/);
+    } finally {
+        page.close();
+    }
+});
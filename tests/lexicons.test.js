@@ -0,0 +1,88 @@
+'use strict';
+
+// The Pidgin, Hausa, Yoruba and Igbo lexicon packs: language detection,
+// diacritics, mixed-language submissions and per-language negation. The
+// corpus scores in severity.test.js cover the packs in aggregate.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+before(async () => {
+    page = await loadPage();
+});
+
+after(() => page.close());
+
+function analyze(text, on = page) {
+    return JSON.parse(JSON.stringify(on.debug.analyzeMyth(text)));
+}
+
+function termsBy(analysis, lexicon) {
+    return analysis.matches.filter(match => match.lexicon === lexicon).map(match => match.term);
+}
+
+test('each pack\'s marker words identify its language', () => {
+    const samples = {
+        pcm: 'Abeg una no dey hear say dem talk am for WhatsApp',
+        ha: 'Mutane suna cewa zuma tana magance zazzabi',
+        yo: 'Won so pe agbo ewuro ni iwosan fun iba',
+        ig: 'Ndi mmadu na-ekwu na onugbu na-agwo oria shuga',
+        en: 'People say that garlic will cure typhoid'
+    };
+    for (const [language, text] of Object.entries(samples)) {
+        const analysis = analyze(text);
+        assert.equal(analysis.language, language, text);
+        assert.ok(analysis.languageConfidence > 0.5, `${language} confidence ${analysis.languageConfidence}`);
+    }
+});
+
+test('tone marks and underdots do not stop Yoruba terms matching', () => {
+    const plain = analyze('Won so pe agbo ewuro ni iwosan fun iba');
+    const marked = analyze('Wọ́n sọ pé àgbo ewúro ni ìwòsàn fún ibà');
+
+    assert.deepEqual(termsBy(marked, 'yo'), ['agbo', 'ewuro', 'iwosan', 'iba']);
+    assert.equal(marked.score, plain.score);
+    assert.equal(marked.severity, 'high');
+});
+
+test('mixed-language submissions are matched against every pack', () => {
+    const analysis = analyze('Abeg, dem dey talk say bleach dey cure malaria for pikin');
+
+    assert.equal(analysis.language, 'pcm');
+    assert.deepEqual(termsBy(analysis, 'en'), ['bleach', 'cure', 'malaria']);
+    assert.deepEqual(termsBy(analysis, 'pcm'), ['pikin']);
+    assert.equal(analysis.severity, 'critical', 'harm to a child counts whichever language names it');
+});
+
+test('negations work in their own language', () => {
+    const claim = analyze('Tafarnuwa tana warkar da kanjamau');
+    const denial = analyze('Tafarnuwa ba ta warkar da kanjamau');
+
+    assert.deepEqual(denial.matches.filter(match => match.negated).map(match => match.term), ['warkar']);
+    assert.ok(denial.score < claim.score);
+    assert.equal(analyze('Wannan magana karya ce, tafarnuwa tana warkar da kanjamau').severity, 'low', 'Hausa debunk');
+    // Applies to the English terms too, since the submission reads as Pidgin
+    assert.equal(analyze('Dem dey talk say bleach dey cure malaria for pikin').severity, 'critical');
+    assert.equal(analyze('Na lie, dem dey talk say bleach dey cure malaria for pikin').severity, 'low', 'Pidgin debunk');
+});
+
+test('text in no known language is attributed to the interface language', async () => {
+    assert.deepEqual(
+        (({ language, languageConfidence }) => ({ language, languageConfidence }))(analyze('xyzzy plugh')),
+        { language: 'en', languageConfidence: 0 }
+    );
+
+    const hausa = await loadPage({ storage: { pritma_locale: 'ha' } });
+    try {
+        const start = Date.now();
+        while (hausa.document.documentElement.lang !== 'ha' && Date.now() - start < 3000) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        assert.equal(analyze('xyzzy plugh', hausa).language, 'ha');
+    } finally {
+        hausa.close();
+    }
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+// Reduced motion pauses the ticker; going back to full motion only resumes
+// it when the pause came from reduced motion.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+let page;
+
+beforeEach(async () => {
+    page = await loadPage();
+});
+
+afterEach(() => page.close());
+
+function isPaused() {
+    return page.document.getElementById('tickerWrapper').classList.contains('paused');
+}
+
+test('the ticker resumes when reduced motion is turned off again', () => {
+    const { window } = page;
+    assert.equal(isPaused(), false);
+
+    window.toggleReducedMotion();
+    assert.equal(isPaused(), true, 'reduced motion pauses the ticker');
+
+    window.toggleReducedMotion();
+    assert.equal(isPaused(), false);
+});
+
+test('a pause the user chose survives a round trip through reduced motion', () => {
+    const { window } = page;
+    window.toggleTickerPause();
+
+    window.toggleReducedMotion();
+    window.toggleReducedMotion();
+    assert.equal(isPaused(), true);
+});
+
+test('pausing again while in reduced motion makes the pause the user\'s', () => {
+    const { window } = page;
+    window.toggleReducedMotion();
+    window.toggleTickerPause();
+    assert.equal(isPaused(), false, 'the user can still run the ticker in reduced mode');
+
+    window.toggleTickerPause();
+    window.toggleReducedMotion();
+    assert.equal(isPaused(), true);
+});
@@ -0,0 +1,38 @@
+'use strict';
+
+// The queue position shown in the success modal and the "My spot" view.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+// Not a local host, so the status request fails and the stored submission
+// is all the page has to go on
+async function openMySpotWith(submission) {
+    const page = await loadPage({
+        url: 'https://pritma.test/',
+        storage: { pritma_submissions: [{ referralCode: 'ABCD-EFGH-J', timestamp: Date.now(), ...submission }] }
+    });
+    page.window.openMySpot();
+    return page;
+}
+
+test('a known position is shown as #N', async () => {
+    const page = await openMySpotWith({ queuePosition: 42 });
+    try {
+        assert.equal(page.document.getElementById('queuePosition').textContent, '#42');
+    } finally {
+        page.close();
+    }
+});
+
+for (const [label, queuePosition] of [['missing', undefined], ['null', null], ['non-numeric', 'soon']]) {
+    test(`a ${label} position is shown as pending`, async () => {
+        const page = await openMySpotWith({ queuePosition });
+        try {
+            assert.equal(page.document.getElementById('queuePosition').textContent, 'Pending');
+        } finally {
+            page.close();
+        }
+    });
+}
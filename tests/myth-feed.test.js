@@ -0,0 +1,101 @@
+'use strict';
+
+// The remote myth feed: schema validation and date expiry.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, ROOT } = require('./helpers/load-page');
+
+const fixture = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'myths', 'feed.json'), 'utf8')).body;
+
+let page;
+
+before(async () => {
+    page = await loadPage();
+});
+
+after(() => page.close());
+
+function validate(feed) {
+    const { myths, errors } = page.debug.validateMythFeed(feed);
+    return { myths: [...myths], errors: [...errors] };
+}
+
+function feedWith(changes) {
+    return { ...fixture, myths: [{ ...fixture.myths[0], ...changes }] };
+}
+
+test('the fixture feed is valid', () => {
+    assert.deepEqual(validate(fixture).errors, []);
+});
+
+test('feed severities use the severity scorer\'s levels', () => {
+    const corpus = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'severity', 'corpus.json'), 'utf8'));
+    const levels = new Set(corpus.samples.map(sample => sample.severity));
+    assert.deepEqual([...levels].sort(), ['critical', 'high', 'low', 'medium']);
+
+    for (const severity of levels) {
+        assert.deepEqual(validate(feedWith({ severity })).errors, [], severity);
+        assert.ok(page.debug.messages[`severity.${severity}`], `severity.${severity} has a filter label`);
+    }
+    assert.equal(validate(feedWith({ severity: 'moderate' })).myths.length, 0);
+});
+
+// Not a local host, so the feed request fails and only the bundled myths
+// and whatever is cached are available. `now` moves the page's clock, e.g.
+// past the end of every bundled myth.
+async function loadWithCachedMyths(myths, { now = null } = {}) {
+    const storage = myths
+        ? { pritma_myth_feed: { version: 1, etag: '"test"', fetchedAt: now || Date.now(), myths } }
+        : {};
+    const beforeParse = now ? window => { window.Date.now = () => now; } : null;
+    return loadPage({ url: 'https://pritma.test/', storage, beforeParse });
+}
+
+const AFTER_BUNDLED_MYTHS = Date.parse('2100-01-01T00:00:00Z');
+
+function tickerState(loaded) {
+    const wrapper = loaded.document.getElementById('tickerWrapper');
+    const feedEvent = loaded.events.find(entry => entry.event === 'myth_feed_loaded');
+    return {
+        ids: [...new Set([...wrapper.querySelectorAll('.myth-card')].map(card => card.dataset.mythId))],
+        empty: Boolean(wrapper.querySelector('.observatory-empty')),
+        source: feedEvent ? feedEvent.data.source : null
+    };
+}
+
+test('expired bundled myths are not shown when the feed is unavailable', async () => {
+    const loaded = await loadWithCachedMyths(null, { now: AFTER_BUNDLED_MYTHS });
+    try {
+        assert.deepEqual(tickerState(loaded), { ids: [], empty: true, source: null });
+        assert.equal(loaded.document.querySelector('.observatory-note').hidden, true);
+    } finally {
+        loaded.close();
+    }
+});
+
+test('an expired cached feed falls back to the empty state, not expired bundled myths', async () => {
+    const expired = fixture.myths.map(myth => ({ ...myth, firstSeen: '2026-01-01T00:00:00Z', expiresAt: undefined }));
+    const loaded = await loadWithCachedMyths(expired, { now: AFTER_BUNDLED_MYTHS });
+    try {
+        assert.deepEqual(tickerState(loaded), { ids: [], empty: true, source: 'none' });
+    } finally {
+        loaded.close();
+    }
+});
+
+test('current cached myths are shown and expired ones dropped', async () => {
+    const now = new Date().toISOString();
+    const [fresh, stale] = fixture.myths;
+    const loaded = await loadWithCachedMyths([
+        { ...fresh, firstSeen: now },
+        { ...stale, firstSeen: now, expiresAt: '2026-01-01T00:00:00Z' }
+    ]);
+    try {
+        assert.deepEqual(tickerState(loaded), { ids: [fresh.id], empty: false, source: 'cache' });
+    } finally {
+        loaded.close();
+    }
+});
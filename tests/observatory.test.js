@@ -0,0 +1,142 @@
+'use strict';
+
+// The myth observatory's explorer: filters built from the loaded myths,
+// search, and #myth/<id> deep links.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, ROOT } = require('./helpers/load-page');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const { myths } = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'myths', 'feed.json'), 'utf8')).body;
+
+// Not a local host, so the feed request fails and the cached fixture myths
+// are what the observatory shows. Dates are reset so all of them are
+// current, including the one the fixture has already expired.
+function loadObservatory(hash = '') {
+    return loadPage({
+        url: `https://pritma.test/${hash}`,
+        storage: {
+            pritma_myth_feed: {
+                version: 1,
+                etag: '"test"',
+                fetchedAt: NOW,
+                myths: myths.map(({ expiresAt, ...myth }) => ({ ...myth, firstSeen: new Date(NOW).toISOString() }))
+            }
+        },
+        beforeParse: window => {
+            window.Date.now = () => NOW;
+        }
+    });
+}
+
+function shownIds(page) {
+    return Array.from(page.document.querySelectorAll('#tickerWrapper .myth-card'), card => card.dataset.mythId);
+}
+
+function resultsText(page) {
+    return page.document.getElementById('mythFilterResults').textContent;
+}
+
+function choose(page, filter, value) {
+    const select = page.document.querySelector(`[data-myth-filter="${filter}"]`);
+    select.value = value;
+    select.dispatchEvent(new page.window.Event('change'));
+}
+
+function optionValues(page, filter) {
+    return Array.from(page.document.querySelectorAll(`[data-myth-filter="${filter}"] option`), option => option.value);
+}
+
+test('the explorer lists every myth once, with filter options from the loaded myths', async () => {
+    const page = await loadObservatory();
+    try {
+        page.window.toggleMythExplorer();
+
+        assert.deepEqual(shownIds(page).sort(), myths.map(myth => myth.id).sort());
+        assert.equal(resultsText(page), `Showing ${myths.length} of ${myths.length} myths`);
+        assert.deepEqual(optionValues(page, 'region'), ['', 'Abuja', 'Kano', 'Lagos']);
+        assert.deepEqual(optionValues(page, 'severity'), ['', 'critical', 'high'], 'most severe first');
+        assert.equal(page.document.getElementById('mythFilters').hidden, false);
+    } finally {
+        page.close();
+    }
+});
+
+test('filters combine', async () => {
+    const page = await loadObservatory();
+    try {
+        page.window.toggleMythExplorer();
+        choose(page, 'region', 'Lagos');
+        choose(page, 'severity', 'critical');
+
+        assert.deepEqual(shownIds(page).sort(), ['engine-oil-burns', 'salt-water-malaria']);
+        assert.equal(resultsText(page), `Showing 2 of ${myths.length} myths`);
+
+        choose(page, 'platform', 'TikTok');
+        assert.deepEqual(shownIds(page), []);
+        assert.equal(page.document.querySelector('#tickerWrapper .observatory-empty').textContent, 'No myths match these filters.');
+
+        page.window.clearMythFilters();
+        assert.equal(shownIds(page).length, myths.length);
+        assert.equal(page.document.querySelector('[data-myth-filter="region"]').value, '');
+    } finally {
+        page.close();
+    }
+});
+
+test('search needs every term, ignoring case and accents', async () => {
+    const page = await loadObservatory();
+    try {
+        page.window.toggleMythExplorer();
+        const search = page.document.getElementById('mythSearch');
+        search.value = 'KÁNO  whatsapp';
+        search.dispatchEvent(new page.window.Event('input'));
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        assert.deepEqual(shownIds(page).sort(), ['bitter-leaf-typhoid', 'garlic-covid']);
+    } finally {
+        page.close();
+    }
+});
+
+test('a #myth/<id> link opens the explorer with that myth expanded', async () => {
+    const page = await loadObservatory('#myth/salt-water-malaria');
+    try {
+        const card = page.document.querySelector('#tickerWrapper .myth-card[data-myth-id="salt-water-malaria"]');
+        assert.ok(page.document.getElementById('observatory').classList.contains('explorer-mode'));
+        assert.ok(card.classList.contains('expanded'));
+        assert.equal(page.document.activeElement, card);
+        assert.ok(page.events.some(({ event, data }) => event === 'myth_permalink_opened' && data.mythId === 'salt-water-malaria'));
+    } finally {
+        page.close();
+    }
+});
+
+test('following a link later clears filters so the myth is shown', async () => {
+    const page = await loadObservatory();
+    try {
+        page.window.toggleMythExplorer();
+        choose(page, 'region', 'Abuja');
+
+        page.window.location.hash = '#myth/engine-oil-burns';
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.ok(shownIds(page).includes('engine-oil-burns'));
+        assert.equal(shownIds(page).length, myths.length);
+    } finally {
+        page.close();
+    }
+});
+
+test('links to unknown myths leave the ticker alone', async () => {
+    const page = await loadObservatory('#myth/not-a-myth');
+    try {
+        assert.equal(page.document.getElementById('observatory').classList.contains('explorer-mode'), false);
+        assert.ok(!page.events.some(({ event }) => event === 'myth_permalink_opened'));
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+// The offline outbox: signups made without a connection are kept on the
+// device and replayed when it returns. jsdom has no IndexedDB, so these
+// run against the pritma_outbox localStorage fallback.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+const VALUES = {
+    email: 'ada@ncdc.gov.ng',
+    orgType: 'moh',
+    myth: 'Bitter leaf water cures typhoid in three days'
+};
+
+// Page whose navigator.onLine follows network.online
+async function loadWithNetwork({ online = true, url, storage } = {}) {
+    const network = { online };
+    const page = await loadPage({
+        url,
+        storage,
+        beforeParse: window => {
+            Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => network.online });
+        }
+    });
+
+    // Back online, with the event the browser fires
+    network.reconnect = () => {
+        network.online = true;
+        page.window.dispatchEvent(new page.window.Event('online'));
+    };
+    return { ...page, network };
+}
+
+// An entry as queueSubmission stores it
+function queuedEntry(id, queuedAt, values = VALUES) {
+    return {
+        id,
+        formData: { ...values, mythAnalysis: { keywords: [], severity: 'low' }, botProtection: { proofOfWork: null } },
+        queuedAt
+    };
+}
+
+async function waitFor(predicate, timeout = 5000) {
+    const start = Date.now();
+    while (!(await predicate())) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for the outbox');
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+async function pending(page) {
+    return Array.from(await page.debug.getOutbox(), entry => entry.id);
+}
+
+function submit(page, values = VALUES) {
+    const { document, window } = page;
+    for (const [name, value] of Object.entries(values)) {
+        const element = document.getElementById(name);
+        element.value = value;
+        element.dispatchEvent(new window.Event('change', { bubbles: true }));
+    }
+    document.getElementById('waitlistForm').requestSubmit();
+}
+
+test('a signup made offline is kept on the device and sent once back online', async () => {
+    const page = await loadWithNetwork({ online: false });
+    try {
+        const status = page.document.getElementById('formStatus');
+        submit(page);
+        await waitFor(async () => (await pending(page)).length === 1);
+
+        const [entry] = await page.debug.getOutbox();
+        assert.equal(entry.formData.email, VALUES.email);
+        assert.equal(entry.formData.botProtection.proofOfWork, null, 'a fresh stamp is made on replay');
+        assert.ok(status.classList.contains('pending'));
+        assert.equal(page.document.getElementById('email').value, '', 'the form is cleared');
+
+        page.network.reconnect();
+        await waitFor(() => page.debug.getSubmissions().length === 1);
+
+        assert.deepEqual(await pending(page), []);
+        assert.equal(page.debug.getSubmissions()[0].email, VALUES.email);
+        assert.equal(status.textContent, '');
+        assert.ok(page.events.some(({ event }) => event === 'submission_replayed'));
+    } finally {
+        page.close();
+    }
+});
+
+test('a newer offline signup for the same email replaces the older one', async () => {
+    const page = await loadWithNetwork({ online: false });
+    try {
+        submit(page);
+        await waitFor(async () => (await pending(page)).length === 1);
+        submit(page, { ...VALUES, orgType: 'ngo' });
+        await waitFor(async () => (await page.debug.getOutbox())[0].formData.orgType === 'ngo');
+
+        assert.equal((await pending(page)).length, 1);
+        const queued = page.events.filter(({ event }) => event === 'submission_queued');
+        assert.deepEqual(queued.map(({ data }) => data.replaced), [0, 1]);
+    } finally {
+        page.close();
+    }
+});
+
+test('signups left from a previous visit are replayed in the order they were made', async () => {
+    const page = await loadWithNetwork({
+        storage: {
+            pritma_outbox: [
+                queuedEntry('later', '2026-10-19T10:05:00.000Z', { ...VALUES, email: 'second@ncdc.gov.ng' }),
+                queuedEntry('earlier', '2026-10-19T10:00:00.000Z', { ...VALUES, email: 'first@ncdc.gov.ng' })
+            ]
+        }
+    });
+    try {
+        await waitFor(() => page.debug.getSubmissions().length === 2, 8000);
+
+        assert.deepEqual(Array.from(page.debug.getSubmissions(), submission => submission.email), [
+            'first@ncdc.gov.ng', 'second@ncdc.gov.ng'
+        ]);
+        assert.deepEqual(await pending(page), []);
+    } finally {
+        page.close();
+    }
+});
+
+test('a server failure during replay keeps the signup for the next attempt', async () => {
+    const page = await loadWithNetwork({
+        online: false,
+        url: 'http://localhost/?mock=server-error',
+        storage: { pritma_outbox: [queuedEntry('queued', '2026-10-19T10:00:00.000Z')] }
+    });
+    try {
+        page.debug.config.api.maxRetries = 0;
+        page.network.online = true;
+        await page.debug.replayOutbox();
+
+        assert.deepEqual(await pending(page), ['queued']);
+        assert.equal(page.debug.getSubmissions().length, 0);
+        assert.ok(!page.events.some(({ event }) => event === 'submission_replay_rejected'));
+    } finally {
+        page.close();
+    }
+});
+
+test('a signup the backend rejects is dropped and the reason shown', async () => {
+    const page = await loadWithNetwork({
+        url: 'http://localhost/?mock=duplicate-email',
+        storage: { pritma_outbox: [queuedEntry('queued', '2026-10-19T10:00:00.000Z')] }
+    });
+    try {
+        await waitFor(() => page.events.some(({ event }) => event === 'submission_replay_rejected'));
+
+        assert.deepEqual(await pending(page), []);
+        assert.ok(page.document.getElementById('emailGroup').classList.contains('error'));
+        const { data } = page.events.find(({ event }) => event === 'submission_replay_rejected');
+        assert.equal(data.status, 409);
+    } finally {
+        page.close();
+    }
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+// Referral codes: v2 codes with a check symbol and pre-v2 legacy codes.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+let page;
+let parse;
+
+before(async () => {
+    page = await loadPage();
+    parse = input => ({ ...page.debug.parseReferralCode(input) });
+});
+
+after(() => page.close());
+
+test('generated codes are v2 and parse back unchanged', () => {
+    for (let i = 0; i < 50; i++) {
+        const code = page.debug.generateReferralCode();
+        assert.match(code, /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]$/);
+        assert.deepEqual(parse(code), { valid: true, code, format: 'v2', error: null });
+    }
+});
+
+test('v2 codes are normalised for case, spaces and missing hyphens', () => {
+    const code = page.debug.generateReferralCode();
+    const typed = ` ${code.replace(/-/g, '').toLowerCase().replace(/(.{4})/, '$1 ')} `;
+    assert.equal(parse(typed).code, code);
+});
+
+test('any single-symbol typo in a v2 code fails the check', () => {
+    const code = page.debug.generateReferralCode();
+    for (const position of [0, 3, 5, 8, 10]) {
+        const original = code[position];
+        const replacement = ALPHABET[(ALPHABET.indexOf(original) + 7) % ALPHABET.length];
+        const typo = code.slice(0, position) + replacement + code.slice(position + 1);
+
+        assert.deepEqual(parse(typo), {
+            valid: false, code: null, format: 'v2', error: 'Referral code check failed (possible typo)'
+        }, `typo at ${position}: ${typo}`);
+    }
+});
+
+test('a v2 code without its check symbol is rejected', () => {
+    const code = page.debug.generateReferralCode();
+    assert.deepEqual(parse(code.slice(0, 9)), {
+        valid: false, code: null, format: 'v2', error: 'Referral code is missing its check symbol'
+    });
+});
+
+test('legacy codes parse with every hash length', () => {
+    for (const code of ['1X9ZQK-8F2A', 'X9ZQK-8F2A', 'Z9K-8F2A', '7-0AB1']) {
+        assert.deepEqual(parse(code), { valid: true, code, format: 'legacy', error: null }, code);
+    }
+    assert.equal(parse('1x9zqk-8f2a').code, '1X9ZQK-8F2A');
+});
+
+test('4+4 legacy codes parse when they use a symbol v2 leaves out', () => {
+    for (const code of ['A0BC-8F2A', 'ABCD-8F1A', 'QIKX-ZZ9A', 'ABCD-EFGO']) {
+        assert.equal(parse(code).format, 'legacy', code);
+        assert.equal(parse(code).valid, true, code);
+    }
+});
+
+test('4+4 legacy codes inside the v2 alphabet are indistinguishable and rejected', () => {
+    // The documented collision with UNCHECKED_REFERRAL_PATTERN
+    assert.equal(parse('ABCD-EFGH').valid, false);
+    assert.equal(parse('ABCD-EFGH').format, 'v2');
+});
+
+test('anything else is not a referral code', () => {
+    for (const input of ['', '   ', null, 'hello', '1X9ZQK8-8F2A', 'ABCD-EFGH-JK', 'ABCD_EFGH']) {
+        const result = parse(input);
+        assert.equal(result.valid, false, String(input));
+        assert.equal(result.code, null);
+    }
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+// The myth severity scorer: matching rules, and precision/recall against
+// the labelled corpus in fixtures/severity/corpus.json.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadPage, ROOT } = require('./helpers/load-page');
+
+const { samples } = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', 'severity', 'corpus.json'), 'utf8'));
+
+// Floors sit a little under the current scores, so one more miss in a
+// level of about a dozen samples fails. Missing a critical myth is the
+// costliest mistake, so its recall floor is the strictest.
+const FLOORS = {
+    low: { precision: 0.85, recall: 0.85 },
+    medium: { precision: 0.85, recall: 0.85 },
+    high: { precision: 0.85, recall: 0.85 },
+    critical: { precision: 0.85, recall: 0.9 }
+};
+
+let page;
+
+before(async () => {
+    page = await loadPage();
+});
+
+after(() => page.close());
+
+function analyze(text) {
+    return JSON.parse(JSON.stringify(page.debug.analyzeMyth(text)));
+}
+
+test('the corpus covers every severity level', () => {
+    const levels = new Set(samples.map(sample => sample.severity));
+    assert.deepEqual([...levels].sort(), Object.keys(FLOORS).sort());
+});
+
+test('precision and recall stay above the floor for every severity level', async () => {
+    const report = await page.debug.evaluateSeverityModel(samples);
+    const classes = JSON.parse(JSON.stringify(report.classes));
+
+    for (const { severity, precision, recall } of classes) {
+        const floor = FLOORS[severity];
+        assert.ok(precision >= floor.precision, `${severity} precision ${precision} < ${floor.precision}`);
+        assert.ok(recall >= floor.recall, `${severity} recall ${recall} < ${floor.recall}`);
+    }
+    assert.ok(report.languageAccuracy >= 0.85, `language accuracy ${report.languageAccuracy}`);
+});
+
+test('terms match whole, stemmed words', () => {
+    assert.deepEqual(analyze('The soup was salty').matches, []);
+    assert.deepEqual(analyze('Salt water cures malaria').keywords, ['salt water', 'cure', 'malaria']);
+});
+
+test('negated claims are reported but not scored', () => {
+    const claim = analyze('Salt water cures malaria');
+    const denial = analyze('Salt water does NOT cure malaria');
+
+    assert.equal(claim.severity, 'critical');
+    assert.ok(denial.score < claim.score);
+    assert.deepEqual(
+        denial.matches.filter(match => match.negated).map(match => match.term),
+        ['cure', 'malaria']
+    );
+    assert.ok(!denial.categories.includes('cure'));
+});
+
+test('combinations add to the score and explain themselves', () => {
+    const analysis = analyze('Stop taking insulin, prayer cures diabetes');
+
+    assert.equal(analysis.severity, 'critical');
+    assert.ok(analysis.combinations.includes('refusal+treatment'));
+    assert.ok(analysis.confidence > 0 && analysis.confidence <= 1);
+});
+
+test('text with nothing to score is low severity', () => {
+    const analysis = analyze('Please remember to wash your hands');
+    assert.equal(analysis.severity, 'low');
+    assert.equal(analysis.score, 0);
+});
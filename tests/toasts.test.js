@@ -0,0 +1,161 @@
+'use strict';
+
+// Toast notifications: announced by type, timed dismissal that pauses on
+// hover, the close and action buttons, and the limit on visible toasts.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/load-page');
+
+// Page with a working clipboard (unless clipboard is false) and a record
+// of any window.alert calls
+async function loadWithClipboard({ clipboard = true, url } = {}) {
+    const alerts = [];
+    const page = await loadPage({
+        url,
+        beforeParse: window => {
+            window.alert = message => alerts.push(message);
+            if (clipboard) {
+                Object.defineProperty(window.navigator, 'clipboard', { value: { writeText: async () => {} } });
+            }
+        }
+    });
+    page.document.getElementById('referralLink').value = 'https://pritma.health/join?ref=ABCD-EFGH-J';
+    return { ...page, alerts };
+}
+
+function toasts(page) {
+    return Array.from(page.document.querySelectorAll('#toastRegion .toast'));
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function copyLink(page) {
+    page.window.copyReferralLink();
+    await wait(0);
+}
+
+test('a copied link is confirmed in a status toast that goes away by itself', async () => {
+    const page = await loadWithClipboard();
+    try {
+        page.debug.config.toasts.durationMs = 50;
+        await copyLink(page);
+
+        const [toast] = toasts(page);
+        assert.equal(toast.getAttribute('role'), 'status');
+        assert.ok(toast.classList.contains('toast-success'));
+        assert.equal(toast.querySelector('.toast-message').textContent, 'Link copied! You can now share it with your colleagues.');
+
+        await wait(100);
+        assert.equal(toasts(page).length, 0);
+    } finally {
+        page.close();
+    }
+});
+
+test('a failed copy is an alert toast, and the link is selected to copy by hand', async () => {
+    const page = await loadWithClipboard({ clipboard: false });
+    try {
+        await copyLink(page);
+
+        const [toast] = toasts(page);
+        assert.equal(toast.getAttribute('role'), 'alert');
+        assert.ok(toast.classList.contains('toast-error'));
+        assert.equal(page.document.activeElement, page.document.getElementById('referralLink'));
+        assert.deepEqual(page.alerts, [], 'no blocking alert()');
+    } finally {
+        page.close();
+    }
+});
+
+test('hovering a toast holds it until the pointer leaves', async () => {
+    const page = await loadWithClipboard();
+    try {
+        page.debug.config.toasts.durationMs = 80;
+        await copyLink(page);
+        const [toast] = toasts(page);
+
+        toast.dispatchEvent(new page.window.Event('mouseenter'));
+        await wait(150);
+        assert.ok(toast.isConnected);
+
+        toast.dispatchEvent(new page.window.Event('mouseleave'));
+        await wait(150);
+        assert.equal(toast.isConnected, false);
+    } finally {
+        page.close();
+    }
+});
+
+test('the close button dismisses and gives focus back', async () => {
+    const page = await loadWithClipboard();
+    try {
+        const origin = page.document.getElementById('email');
+        origin.focus();
+        await copyLink(page);
+
+        const close = toasts(page)[0].querySelector('.toast-close');
+        assert.equal(close.getAttribute('aria-label'), 'Dismiss notification');
+        close.focus();
+        close.click();
+
+        assert.equal(toasts(page).length, 0);
+        assert.equal(page.document.activeElement, origin);
+    } finally {
+        page.close();
+    }
+});
+
+test('only the newest toasts stay on screen', async () => {
+    const page = await loadWithClipboard();
+    try {
+        for (let i = 0; i < 5; i++) {
+            await copyLink(page);
+        }
+        assert.equal(toasts(page).length, page.debug.config.toasts.maxVisible);
+    } finally {
+        page.close();
+    }
+});
+
+test('a failed signup offers Retry, which dismisses the toast and resends', async () => {
+    const page = await loadWithClipboard({ url: 'http://localhost/?mock=server-error' });
+    try {
+        const { document } = page;
+        page.debug.config.api.maxRetries = 0;
+        for (const [name, value] of Object.entries({
+            email: 'ada@ncdc.gov.ng',
+            orgType: 'moh',
+            myth: 'Bitter leaf water cures typhoid in three days'
+        })) {
+            document.getElementById(name).value = value;
+        }
+        document.getElementById('waitlistForm').requestSubmit();
+
+        const start = Date.now();
+        while (!toasts(page).length && Date.now() - start < 5000) {
+            await wait(50);
+        }
+        const [toast] = toasts(page);
+        assert.equal(toast.getAttribute('role'), 'alert');
+        assert.equal(toast.querySelector('.toast-message').textContent,
+            'Sorry, something went wrong on our side. Please try again or contact us directly.');
+
+        const retry = toast.querySelector('.toast-action');
+        assert.equal(retry.textContent, 'Retry');
+        retry.click();
+        assert.equal(toast.isConnected, false);
+
+        while (!page.events.some(({ event, data }) => event === 'form_submission_error' && data.retry)
+            && Date.now() - start < 5000) {
+            await wait(50);
+        }
+        assert.ok(page.events.some(({ event }) => event === 'form_submission_retried'));
+        assert.equal(toasts(page).length, 1, 'one toast for the retry\'s failure');
+        assert.deepEqual(page.alerts, []);
+    } finally {
+        page.close();
+    }
+});